@@ -0,0 +1,299 @@
+/**
+ * Local dev server for the HarryTien Admin Dashboard
+ * Serves the site files and exposes a Jekyll checkout on disk as a storage
+ * backend for LocalDirectoryStorageAdapter, so the admin works offline.
+ *
+ * Usage: node admin/dev-server.js [--root <checkout>] [--port 4001]
+ * Then open http://localhost:4001/admin/ and pick "Local directory" on the login screen.
+ *
+ * It also forwards the OAuth device flow endpoints of github.com under /__github,
+ * since browsers cannot call them directly (they send no CORS headers).
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+
+const ROOT = path.resolve(option('root', path.join(__dirname, '..')));
+const PORT = Number(option('port', 4001));
+const STORAGE_PREFIX = '/__storage';
+const GITHUB_PREFIX = '/__github';
+// The only github.com endpoints forwarded; this is not a general proxy
+const GITHUB_OAUTH_PATHS = ['/login/device/code', '/login/oauth/access_token'];
+// Listening on 127.0.0.1 does not stop other sites: any page can post a form to
+// localhost, and DNS rebinding makes a page's own host name point here
+const ALLOWED_HOSTS = [`localhost:${PORT}`, `127.0.0.1:${PORT}`];
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon'
+};
+
+class HttpError extends Error {
+    constructor(status, message, extra = {}) {
+        super(message);
+        this.status = status;
+        this.extra = extra;
+    }
+}
+
+/**
+ * Resolve a repository-relative path, refusing anything outside ROOT or inside .git
+ */
+function resolvePath(relativePath) {
+    if (!relativePath) {
+        throw new HttpError(400, 'Missing path');
+    }
+    const absolute = path.resolve(ROOT, relativePath);
+    const inside = path.relative(ROOT, absolute);
+    if (inside.startsWith('..') || path.isAbsolute(inside) || inside.split(path.sep)[0] === '.git') {
+        throw new HttpError(403, `Path not allowed: ${relativePath}`);
+    }
+    return absolute;
+}
+
+/**
+ * Git blob sha, so shas match the ones GitHub reports
+ */
+function blobSha(buffer) {
+    return crypto.createHash('sha1').update(`blob ${buffer.length}\0`).update(buffer).digest('hex');
+}
+
+function readFile(relativePath) {
+    const absolute = resolvePath(relativePath);
+    if (!fs.existsSync(absolute) || !fs.statSync(absolute).isFile()) {
+        return null;
+    }
+    const buffer = fs.readFileSync(absolute);
+    return { path: relativePath, content: buffer.toString('base64'), sha: blobSha(buffer) };
+}
+
+function assertSha(relativePath, expectedSha) {
+    const current = readFile(relativePath);
+    if ((current ? current.sha : null) !== (expectedSha || null)) {
+        throw new HttpError(409, `${relativePath} does not match ${expectedSha || 'a new file'}`, {
+            path: relativePath,
+            remote: current ? { ...current, content: Buffer.from(current.content, 'base64').toString('utf8') } : null
+        });
+    }
+}
+
+function writeFile(relativePath, content, encoding) {
+    const absolute = resolvePath(relativePath);
+    fs.mkdirSync(path.dirname(absolute), { recursive: true });
+    const temp = `${absolute}.tmp-${process.pid}`;
+    fs.writeFileSync(temp, Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8'));
+    fs.renameSync(temp, absolute);
+}
+
+function deleteFile(relativePath) {
+    const absolute = resolvePath(relativePath);
+    if (fs.existsSync(absolute)) {
+        fs.unlinkSync(absolute);
+    }
+}
+
+/**
+ * Apply a change set: every expectation is checked before anything is written.
+ * An expectedSha of null means the file must not exist yet.
+ */
+function commitChanges(changes, message) {
+    changes.forEach(change => {
+        resolvePath(change.path);
+        if (change.expectedSha !== undefined) {
+            assertSha(change.path, change.expectedSha);
+        }
+    });
+
+    changes.forEach(change => {
+        if (change.deleted) {
+            deleteFile(change.path);
+        } else {
+            writeFile(change.path, change.content, change.encoding);
+        }
+    });
+
+    console.log(`✔ ${message} (${changes.length} file${changes.length !== 1 ? 's' : ''})`);
+    return { message, paths: changes.map(change => change.path), date: new Date().toISOString() };
+}
+
+function listDirectory(relativePath) {
+    const absolute = resolvePath(relativePath);
+    if (!fs.existsSync(absolute) || !fs.statSync(absolute).isDirectory()) {
+        return null;
+    }
+    return fs.readdirSync(absolute, { withFileTypes: true })
+        .filter(entry => !entry.name.startsWith('.'))
+        .map(entry => {
+            const entryPath = path.posix.join(relativePath.replace(/\/$/, ''), entry.name);
+            if (entry.isDirectory()) {
+                return { name: entry.name, path: entryPath, type: 'dir', size: 0 };
+            }
+            const buffer = fs.readFileSync(path.join(absolute, entry.name));
+            return { name: entry.name, path: entryPath, type: 'file', size: buffer.length, sha: blobSha(buffer) };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Refuse requests that were not made by a page served from this server
+ */
+function assertLocalRequest(req) {
+    if (!ALLOWED_HOSTS.includes(req.headers.host)) {
+        throw new HttpError(403, `Host not allowed: ${req.headers.host}`);
+    }
+    const origin = req.headers.origin;
+    if (origin && !ALLOWED_HOSTS.some(host => origin === `http://${host}`)) {
+        throw new HttpError(403, `Origin not allowed: ${origin}`);
+    }
+}
+
+/**
+ * Parse a JSON request body. Other content types are refused: forms can send
+ * text/plain across sites without a CORS preflight, application/json cannot.
+ */
+function readBody(req) {
+    const type = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (type !== 'application/json') {
+        return Promise.reject(new HttpError(415, 'Content-Type must be application/json'));
+    }
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            try {
+                const text = Buffer.concat(chunks).toString('utf8');
+                resolve(text ? JSON.parse(text) : {});
+            } catch (error) {
+                reject(new HttpError(400, 'Invalid JSON body'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleStorage(req, res, url) {
+    const route = url.pathname.slice(STORAGE_PREFIX.length);
+    const query = url.searchParams;
+
+    if (route === '/ping' && req.method === 'GET') {
+        return { ok: true };
+    }
+
+    if (route === '/files' && req.method === 'GET') {
+        const file = readFile(query.get('path'));
+        if (!file) throw new HttpError(404, 'Not Found');
+        return file;
+    }
+
+    if (route === '/directory' && req.method === 'GET') {
+        const entries = listDirectory(query.get('path'));
+        if (!entries) throw new HttpError(404, 'Not Found');
+        return entries;
+    }
+
+    if (route === '/files' && req.method === 'PUT') {
+        const body = await readBody(req);
+        if (!body.overwrite) {
+            assertSha(body.path, body.sha);
+        }
+        return commitChanges([{ path: body.path, content: body.content, encoding: body.encoding }], body.message);
+    }
+
+    if (route === '/files' && req.method === 'DELETE') {
+        assertSha(query.get('path'), query.get('sha'));
+        return commitChanges([{ path: query.get('path'), deleted: true }], `Delete ${query.get('path')}`);
+    }
+
+    if (route === '/commit' && req.method === 'POST') {
+        const body = await readBody(req);
+        return commitChanges(body.changes || [], body.message);
+    }
+
+    throw new HttpError(404, 'Not Found');
+}
+
+async function handleGitHubOAuth(req, url) {
+    const route = url.pathname.slice(GITHUB_PREFIX.length);
+    if (!GITHUB_OAUTH_PATHS.includes(route) || req.method !== 'POST') {
+        throw new HttpError(404, 'Not Found');
+    }
+
+    const body = JSON.stringify(await readBody(req));
+    let response;
+    try {
+        response = await fetch(`https://github.com${route}`, {
+            method: 'POST',
+            headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+            body
+        });
+    } catch (error) {
+        throw new HttpError(502, `github.com is not reachable: ${error.message}`);
+    }
+    return { status: response.status, body: await response.text() };
+}
+
+function serveStatic(res, url) {
+    let relativePath = decodeURIComponent(url.pathname).replace(/^\/+/, '');
+    let absolute = resolvePath(relativePath || '.');
+    if (fs.existsSync(absolute) && fs.statSync(absolute).isDirectory()) {
+        absolute = path.join(absolute, 'index.html');
+    }
+    // Generated files such as assets/css/main.css only exist in a Jekyll build
+    if (!fs.existsSync(absolute) && relativePath) {
+        absolute = resolvePath(path.join('_site', relativePath));
+    }
+    if (!fs.existsSync(absolute) || fs.statSync(absolute).isDirectory()) {
+        throw new HttpError(404, 'Not Found');
+    }
+    res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(absolute)] || 'application/octet-stream' });
+    fs.createReadStream(absolute).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+    try {
+        assertLocalRequest(req);
+
+        if (url.pathname.startsWith(STORAGE_PREFIX)) {
+            const result = await handleStorage(req, res, url);
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+        } else if (url.pathname.startsWith(GITHUB_PREFIX)) {
+            const { status, body } = await handleGitHubOAuth(req, url);
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(body);
+        } else {
+            serveStatic(res, url);
+        }
+    } catch (error) {
+        const status = error.status || 500;
+        if (status === 500) console.error(error);
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: error.message, ...(error.extra || {}) }));
+    }
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+    console.log(`Admin dev server serving ${ROOT}`);
+    console.log(`Open http://localhost:${PORT}/admin/`);
+});
@@ -0,0 +1,71 @@
+/**
+ * GitHub OAuth device flow proxy for the HarryTien Admin Dashboard
+ * github.com's /login endpoints send no CORS headers, so the admin page cannot
+ * call them itself. admin/dev-server.js forwards them for local work; for the
+ * admin on GitHub Pages, deploy this file as a Cloudflare Worker (or on any
+ * runtime that takes a module with a fetch handler) and put its URL in the
+ * github-oauth-proxy <meta> tag of admin/index.html.
+ *
+ * It only forwards the two device flow endpoints, for pages on ALLOWED_ORIGIN.
+ * The device flow needs no client secret, so the worker holds none.
+ */
+
+const ALLOWED_ORIGIN = 'https://harrytien107.github.io';
+const GITHUB_OAUTH_PATHS = ['/login/device/code', '/login/oauth/access_token'];
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': ALLOWED_ORIGIN,
+    'Access-Control-Allow-Methods': 'POST',
+    'Access-Control-Allow-Headers': 'Accept, Content-Type',
+    'Access-Control-Max-Age': '86400',
+    'Vary': 'Origin'
+};
+
+function jsonResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+    });
+}
+
+export default {
+    async fetch(request) {
+        const url = new URL(request.url);
+
+        if (request.headers.get('Origin') !== ALLOWED_ORIGIN) {
+            return jsonResponse(403, { message: 'Origin not allowed' });
+        }
+        if (!GITHUB_OAUTH_PATHS.includes(url.pathname)) {
+            return jsonResponse(404, { message: 'Not Found' });
+        }
+        if (request.method === 'OPTIONS') {
+            return new Response(null, { status: 204, headers: CORS_HEADERS });
+        }
+        if (request.method !== 'POST') {
+            return jsonResponse(405, { message: 'Method not allowed' });
+        }
+
+        let body;
+        try {
+            body = JSON.stringify(await request.json());
+        } catch (error) {
+            return jsonResponse(400, { message: 'Invalid JSON body' });
+        }
+
+        let response;
+        try {
+            response = await fetch(`https://github.com${url.pathname}`, {
+                method: 'POST',
+                headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+                body
+            });
+        } catch (error) {
+            return jsonResponse(502, { message: `github.com is not reachable: ${error.message}` });
+        }
+
+        return new Response(await response.text(), {
+            status: response.status,
+            headers: { ...CORS_HEADERS, 'Content-Type': 'application/json' }
+        });
+    }
+};
@@ -7,17 +7,48 @@ class AdminDashboard {
     constructor() {
         this.githubAPI = null;
         this.cryptoUtils = new CryptoUtils();
+        this.mergeUtils = new MergeUtils();
         this.posts = [];
+        this.drafts = [];
         this.projects = [];
         this.categories = [];
         this.tags = [];
         this.currentEditPost = null;
         this.currentEditProject = null;
+        // projectsSha when the project form was opened
+        this.currentEditProjectsSha = null;
         this.currentEditCategory = null;
         this.currentEditTag = null;
         this.deleteCallback = null;
         this.pendingImageUpload = null;
         this.pendingProjectImageUpload = null;
+        this.pendingInlineImages = new Map();
+        this.projectsOrder = null;
+        // Sha of _data/projects.yml when this.projects was loaded
+        this.projectsSha = null;
+        this.projectGallery = [];
+        this.projectCaseStudyLoaded = false;
+        this.pendingConflict = null;
+        this.images = null;
+        this.imageManifest = {};
+        this.duplicateImages = [];
+        this.mediaPickerTarget = null;
+        this.imageProcessor = new ImageProcessor({ maxWidth: 1600, maxHeight: 1600, widths: [480, 960, 1600] });
+        this.countdownTimer = null;
+        this.markdownEditor = null;
+        // Sessions unlocked with a passphrase lock again after this long without activity
+        this.autoLockDelay = 15 * 60 * 1000;
+        this.autoLockTimer = null;
+        this.lastActivity = Date.now();
+        // sessionStorage key of the editor that was open when the session ended
+        this.editorStashKey = 'harrytien_admin_open_editor';
+        // GitHub login of the signed-in account
+        this.userLogin = null;
+        // "Sign in with GitHub" stays hidden until index.html names an OAuth App
+        this.deviceFlow = new GitHubDeviceFlow(this.readDeviceFlowConfig());
+        this.deviceFlowAbort = null;
+        // Set when the token cannot write to the repository; see setReadOnly()
+        this.readOnly = false;
 
         this.init();
     }
@@ -28,12 +59,38 @@ class AdminDashboard {
 
     async init() {
         this.bindEvents();
+        this.initMarkdownEditor();
         await this.checkStoredCredentials();
     }
 
+    initMarkdownEditor() {
+        this.markdownEditor = new MarkdownEditor(document.getElementById('post-content'), {
+            preview: document.getElementById('post-preview'),
+            toolbar: document.getElementById('markdown-toolbar'),
+            status: document.getElementById('markdown-status'),
+            onStats: ({ readTime }) => this.updateAutoReadTime(readTime),
+            onImageFile: (file) => this.queueInlineImage(file),
+            resolveImageUrl: (src) => this.pendingInlineImages.get(src)?.objectUrl || null
+        });
+    }
+
     bindEvents() {
         // Login form
         document.getElementById('login-form')?.addEventListener('submit', (e) => this.handleLogin(e));
+        document.getElementById('storage-backend')?.addEventListener('change', (e) => this.handleBackendChange(e.target.value));
+        document.getElementById('remember-credentials')?.addEventListener('change', () => this.updatePassphraseField());
+        document.getElementById('unlock-form')?.addEventListener('submit', (e) => this.handleUnlock(e));
+        document.getElementById('use-other-token-btn')?.addEventListener('click', () => this.showLoginForm());
+        document.getElementById('device-flow-btn')?.addEventListener('click', () => this.startDeviceFlow());
+        document.getElementById('cancel-device-flow-btn')?.addEventListener('click', () => this.deviceFlowAbort?.abort());
+        document.getElementById('copy-device-code-btn')?.addEventListener('click', () => {
+            navigator.clipboard?.writeText(document.getElementById('device-flow-code').textContent);
+        });
+
+        // Activity that keeps a passphrase-protected session unlocked
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(type => {
+            document.addEventListener(type, () => { this.lastActivity = Date.now(); }, { passive: true });
+        });
 
         // Navigation
         document.querySelectorAll('.nav-item[data-page]').forEach(item => {
@@ -47,6 +104,10 @@ class AdminDashboard {
 
         // Logout
         document.getElementById('logout-btn')?.addEventListener('click', () => this.handleLogout());
+        document.getElementById('rotate-key-btn')?.addEventListener('click', (e) => {
+            e.preventDefault();
+            this.rotateCredentialsKey();
+        });
 
         // Mobile menu toggle
         document.getElementById('menu-toggle')?.addEventListener('click', () => this.toggleSidebar());
@@ -54,21 +115,42 @@ class AdminDashboard {
         // Posts
         document.getElementById('new-post-btn')?.addEventListener('click', () => this.openPostModal());
         document.getElementById('save-post-btn')?.addEventListener('click', () => this.savePost());
+        document.getElementById('save-draft-btn')?.addEventListener('click', () => this.savePost(true));
         document.getElementById('posts-search')?.addEventListener('input', (e) => this.filterPosts(e.target.value));
 
         // Thumbnail upload - Fixed: direct file input change
         document.getElementById('post-thumbnail')?.addEventListener('change', (e) => this.handleThumbnailSelect(e));
         document.getElementById('remove-thumbnail-btn')?.addEventListener('click', () => this.removeThumbnail());
+        document.getElementById('add-front-matter-btn')?.addEventListener('click', () => this.addFrontMatterRow());
+        document.getElementById('post-read-time')?.addEventListener('input', (e) => {
+            // Typing a read time stops the automatic one; clearing the field turns it back on
+            e.target.dataset.auto = e.target.value.trim() ? 'false' : 'true';
+        });
+        document.getElementById('sync-schedule-btn')?.addEventListener('click', () => this.syncScheduleWorkflow(true));
 
         // Projects
         document.getElementById('new-project-btn')?.addEventListener('click', () => this.openProjectModal());
         document.getElementById('save-project-btn')?.addEventListener('click', () => this.saveProject());
         document.getElementById('projects-search')?.addEventListener('input', (e) => this.filterProjects(e.target.value));
+        document.getElementById('migrate-projects-btn')?.addEventListener('click', () => this.migrateProjects());
+        document.getElementById('reorder-projects-btn')?.addEventListener('click', () => this.startProjectsReorder());
+        document.getElementById('save-projects-order-btn')?.addEventListener('click', () => this.saveProjectsOrder());
+        document.getElementById('cancel-projects-order-btn')?.addEventListener('click', () => this.cancelProjectsReorder());
+        this.setupProjectsDragAndDrop();
 
         // Project image upload
         document.getElementById('project-image')?.addEventListener('change', (e) => this.handleProjectImageSelect(e));
         document.getElementById('remove-project-image-btn')?.addEventListener('click', () => this.removeProjectImage());
 
+        // Media
+        document.getElementById('media-search')?.addEventListener('input', (e) => this.filterMedia(e.target.value));
+        document.getElementById('media-upload')?.addEventListener('change', (e) => this.uploadMediaFiles(e));
+        document.getElementById('pick-thumbnail-btn')?.addEventListener('click', () => this.openMediaPicker('post'));
+        document.getElementById('pick-project-image-btn')?.addEventListener('click', () => this.openMediaPicker('project'));
+        document.getElementById('add-gallery-image-btn')?.addEventListener('click', () => this.openMediaPicker('project-gallery'));
+        document.getElementById('media-picker-search')?.addEventListener('input', (e) => this.renderMediaPicker(e.target.value));
+        document.getElementById('close-media-picker-btn')?.addEventListener('click', () => this.closeMediaPicker());
+
         // Categories
         document.getElementById('new-category-btn')?.addEventListener('click', () => this.openCategoryModal());
         document.getElementById('save-category-btn')?.addEventListener('click', () => this.saveCategory());
@@ -84,19 +166,35 @@ class AdminDashboard {
             btn.addEventListener('click', () => this.closeAllModals());
         });
 
+        // Conflict resolution
+        document.getElementById('keep-mine-btn')?.addEventListener('click', () => this.resolveConflict('mine'));
+        document.getElementById('take-theirs-btn')?.addEventListener('click', () => this.resolveConflict('theirs'));
+        document.getElementById('save-merge-btn')?.addEventListener('click', () => this.resolveConflict('merge'));
+
         // Delete confirmation
         document.getElementById('confirm-delete-btn')?.addEventListener('click', () => this.confirmDelete());
 
         // Close modal on backdrop click
         document.querySelectorAll('.modal').forEach(modal => {
             modal.addEventListener('click', (e) => {
-                if (e.target === modal) this.closeAllModals();
+                if (e.target !== modal) return;
+                // The picker sits on top of the post/project editor, which stays open
+                if (modal.id === 'media-picker-modal') {
+                    this.closeMediaPicker();
+                } else {
+                    this.closeAllModals();
+                }
             });
         });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') this.closeAllModals();
+            if (e.key !== 'Escape') return;
+            if (this.mediaPickerTarget) {
+                this.closeMediaPicker();
+            } else {
+                this.closeAllModals();
+            }
         });
     }
 
@@ -106,7 +204,17 @@ class AdminDashboard {
 
     async checkStoredCredentials() {
         try {
+            if (await this.cryptoUtils.getVaultMode() === 'passphrase') {
+                this.showUnlockForm();
+                return;
+            }
+
+            this.showLoginForm();
             const credentials = await this.cryptoUtils.getCredentials();
+            if (credentials && this.isCredentialsExpired(credentials)) {
+                await this.forgetExpiredCredentials();
+                return;
+            }
             if (credentials) {
                 const { githubToken } = credentials;
                 if (githubToken) {
@@ -116,79 +224,540 @@ class AdminDashboard {
             }
         } catch (e) {
             console.warn('Failed to load stored credentials:', e);
-            this.cryptoUtils.clearCredentials();
+            await this.cryptoUtils.clearCredentials();
+            this.showLoginForm();
+        }
+    }
+
+    /**
+     * Tokens from the device flow can expire; personal access tokens saved
+     * without an expiry are only found out when GitHub rejects them
+     */
+    isCredentialsExpired({ expiresAt }) {
+        return !!expiresAt && Date.parse(expiresAt) <= Date.now();
+    }
+
+    async forgetExpiredCredentials() {
+        await this.cryptoUtils.clearCredentials();
+        this.showLoginForm();
+        this.showToast('Your saved GitHub session has expired. Please sign in again.', 'warning');
+    }
+
+    showLoginForm() {
+        document.getElementById('unlock-form').classList.add('hidden');
+        document.getElementById('device-flow-panel').classList.add('hidden');
+        document.getElementById('login-form').classList.remove('hidden');
+        this.updatePassphraseField();
+        this.updateDeviceFlowOption();
+    }
+
+    showUnlockForm() {
+        document.getElementById('login-form').classList.add('hidden');
+        document.getElementById('unlock-form').classList.remove('hidden');
+        document.getElementById('unlock-passphrase').value = '';
+        document.getElementById('unlock-passphrase').focus();
+    }
+
+    /**
+     * The passphrase field only applies to remembered GitHub tokens
+     */
+    updatePassphraseField() {
+        const isGitHub = document.getElementById('storage-backend').value === 'github';
+        const remember = document.getElementById('remember-credentials').checked;
+        document.getElementById('vault-passphrase-group').classList.toggle('hidden', !(isGitHub && remember));
+    }
+
+    /**
+     * Device flow settings from the <meta> tags of index.html
+     */
+    readDeviceFlowConfig() {
+        const meta = name => document.querySelector(`meta[name="${name}"]`)?.content.trim() || undefined;
+        return {
+            clientId: meta('github-oauth-client-id'),
+            baseUrl: meta('github-oauth-proxy')
+        };
+    }
+
+    updateDeviceFlowOption() {
+        const isGitHub = document.getElementById('storage-backend').value === 'github';
+        document.getElementById('device-flow-group').classList.toggle('hidden', !(isGitHub && this.deviceFlow.isConfigured()));
+    }
+
+    handleBackendChange(backend) {
+        const isGitHub = backend === 'github';
+        document.getElementById('github-token-group').style.display = isGitHub ? '' : 'none';
+        document.getElementById('github-token').required = isGitHub;
+        document.getElementById('remember-credentials').closest('.form-group').style.display = isGitHub ? '' : 'none';
+        this.updatePassphraseField();
+        this.updateDeviceFlowOption();
+    }
+
+    /**
+     * The passphrase to protect a remembered token with ('' for none), or null
+     * after telling the user it is too short
+     */
+    readVaultPassphrase() {
+        const remember = document.getElementById('remember-credentials').checked;
+        const passphrase = remember ? document.getElementById('vault-passphrase').value : '';
+
+        if (passphrase && passphrase.length < 8) {
+            this.showToast('The passphrase needs at least 8 characters', 'error');
+            return null;
         }
+        return passphrase;
     }
 
     async handleLogin(e) {
         e.preventDefault();
 
+        const backend = document.getElementById('storage-backend').value;
+        if (backend === 'local') {
+            await this.handleLocalLogin(e.target.querySelector('button[type="submit"]'));
+            return;
+        }
+
         const githubToken = document.getElementById('github-token').value.trim();
-        const remember = document.getElementById('remember-credentials').checked;
 
         if (!githubToken) {
             this.showToast('Please enter your GitHub token', 'error');
             return;
         }
 
+        const passphrase = this.readVaultPassphrase();
+        if (passphrase === null) return;
+
         const submitBtn = e.target.querySelector('button[type="submit"]');
         submitBtn.disabled = true;
         submitBtn.innerHTML = '<span>Signing in...</span>';
 
         try {
-            // Initialize GitHub API
-            this.githubAPI = new GitHubAPI(githubToken);
-            const validation = await this.githubAPI.validateToken();
+            await this.signInWithToken(githubToken, { passphrase });
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            this.githubAPI = null;
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = '<span>Sign In</span><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 12h14M12 5l7 7-7 7"/></svg>';
+        }
+    }
+
+    /**
+     * Check a token, remember it as the login form asks and open the dashboard
+     * @param {object} options
+     *   passphrase: from readVaultPassphrase(), expiresAt: when the token expires, if it does
+     */
+    async signInWithToken(githubToken, { passphrase = '', expiresAt = null } = {}) {
+        const remember = document.getElementById('remember-credentials').checked;
+        const validation = await this.authenticate(githubToken);
+
+        // Store credentials if requested (encrypted)
+        if (remember) {
+            await this.cryptoUtils.storeCredentials({
+                githubToken,
+                ...(expiresAt ? { expiresAt } : {})
+            }, { passphrase: passphrase || null });
+        } else {
+            await this.cryptoUtils.clearCredentials();
+        }
+        document.getElementById('vault-passphrase').value = '';
+
+        await this.enterDashboard(validation, { autoLock: !!passphrase });
+    }
+
+    /**
+     * Sign in through GitHub's device flow: show the code the owner enters on
+     * github.com and wait for the token
+     */
+    async startDeviceFlow() {
+        const passphrase = this.readVaultPassphrase();
+        if (passphrase === null) return;
+
+        const button = document.getElementById('device-flow-btn');
+        const status = document.getElementById('device-flow-status');
+        button.disabled = true;
+        this.deviceFlowAbort = new AbortController();
+
+        try {
+            const code = await this.deviceFlow.requestCode();
+
+            document.getElementById('device-flow-code').textContent = code.userCode;
+            document.getElementById('device-flow-link').href = code.verificationUri;
+            status.textContent = 'Waiting for you to approve the sign-in…';
+            document.getElementById('login-form').classList.add('hidden');
+            document.getElementById('device-flow-panel').classList.remove('hidden');
+
+            const token = await this.deviceFlow.pollForToken(code, { signal: this.deviceFlowAbort.signal });
+            status.textContent = 'Signing in…';
+            await this.signInWithToken(token.accessToken, { passphrase, expiresAt: token.expiresAt });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                this.showToast(error.message, 'error');
+            }
+            this.githubAPI = null;
+        } finally {
+            this.deviceFlowAbort = null;
+            button.disabled = false;
+            this.showLoginForm();
+        }
+    }
 
-            if (!validation.valid) {
-                throw new Error('Invalid GitHub token: ' + validation.error);
+    /**
+     * Decrypt the saved token with the passphrase and sign in with it
+     */
+    async handleUnlock(e) {
+        e.preventDefault();
+
+        const passphraseInput = document.getElementById('unlock-passphrase');
+        const submitBtn = e.target.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+        submitBtn.innerHTML = '<span>Unlocking...</span>';
+
+        let credentials = null;
+        try {
+            credentials = await this.cryptoUtils.getCredentials(passphraseInput.value);
+            if (!credentials?.githubToken) {
+                throw new Error('No saved token found');
+            }
+            if (this.isCredentialsExpired(credentials)) {
+                passphraseInput.value = '';
+                await this.forgetExpiredCredentials();
+                return;
             }
 
-            // Store credentials if requested (encrypted)
-            if (remember) {
-                await this.cryptoUtils.storeCredentials({
-                    githubToken
-                });
+            const validation = await this.authenticate(credentials.githubToken);
+            passphraseInput.value = '';
+            await this.enterDashboard(validation, { autoLock: true });
+
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            this.githubAPI = null;
+
+            if (error instanceof CredentialsLockedError) {
+                passphraseInput.select();
             } else {
-                this.cryptoUtils.clearCredentials();
+                // The token itself was rejected (revoked or expired): let a new one be entered
+                this.showLoginForm();
+                document.getElementById('github-token').value = credentials?.githubToken || '';
+                document.getElementById('remember-credentials').checked = true;
+                this.updatePassphraseField();
             }
+        } finally {
+            submitBtn.disabled = false;
+            submitBtn.innerHTML = '<span>Unlock</span>';
+        }
+    }
 
-            // Show dashboard
-            document.getElementById('login-screen').classList.add('hidden');
-            document.getElementById('dashboard').classList.remove('hidden');
+    /**
+     * Check a token with GitHub and use it for the session
+     */
+    async authenticate(githubToken) {
+        const api = new GitHubAPI(githubToken);
+        this.githubAPI = api;
+        api.onRateLimit = (rateLimit) => {
+            if (api === this.githubAPI) this.updateRateLimitDisplay(rateLimit);
+        };
+        const validation = await api.validateToken();
+
+        if (!validation.valid) {
+            throw new Error('Invalid GitHub token: ' + validation.error);
+        }
 
-            // Update user info
-            document.getElementById('user-info').textContent = `@${validation.user.login}`;
+        api.onUnauthorized = () => this.handleSessionExpired(api);
+        return validation;
+    }
 
-            // Load data
-            await this.loadDashboardData();
+    /**
+     * GitHub rejected the token mid-session (expired or revoked): back to the login screen
+     */
+    async handleSessionExpired(api) {
+        // Several requests can fail at once; handle the first
+        if (api !== this.githubAPI) return;
+
+        this.stashOpenEditor();
+        this.closeAllModals();
+        await this.cryptoUtils.clearCredentials();
+        await this.handleLogout('Your GitHub session has expired. Please sign in again.', 'warning');
+    }
+
+    /**
+     * Show the remaining API quota in the header; null hides it
+     */
+    updateRateLimitDisplay(rateLimit) {
+        const element = document.getElementById('rate-limit-info');
+        if (!rateLimit) {
+            element.classList.add('hidden');
+            return;
+        }
+
+        element.textContent = `${rateLimit.remaining.toLocaleString()} / ${rateLimit.limit.toLocaleString()} API requests`;
+        element.title = `GitHub API quota resets at ${new Date(rateLimit.reset).toLocaleTimeString()}`;
+        element.classList.toggle('rate-limit-info--low', rateLimit.remaining < rateLimit.limit * 0.1);
+        element.classList.remove('hidden');
+    }
+
+    async enterDashboard({ user, missingPermission = null, warnings = [] }, { autoLock = false } = {}) {
+        this.setReadOnly(missingPermission);
+        document.getElementById('login-screen').classList.add('hidden');
+        document.getElementById('dashboard').classList.remove('hidden');
+
+        // Update user info
+        this.userLogin = user.login;
+        document.getElementById('user-info').textContent = `@${user.login}`;
+
+        if (autoLock) this.startAutoLock();
+        await this.updateKeyRotationButton();
+
+        // Load data
+        await this.loadDashboardData();
+        // The token was rejected while loading
+        if (!this.githubAPI) return;
+
+        this.showToast('Welcome back, ' + user.login + '!', 'success');
+        warnings.forEach(warning => this.showToast(warning, 'warning'));
+        this.restoreOpenEditor();
+    }
+
+    /**
+     * Turn read-only mode on, with the reason shown in the banner, or off (null).
+     * Buttons that change the repository carry data-write: the static ones are
+     * disabled here, rendered ones through writeAttrs().
+     */
+    setReadOnly(reason) {
+        this.readOnly = !!reason;
+
+        document.getElementById('read-only-message').textContent = reason || '';
+        document.getElementById('read-only-banner').classList.toggle('hidden', !this.readOnly);
+        document.querySelectorAll('[data-write]').forEach(element => {
+            element.toggleAttribute('disabled', this.readOnly);
+        });
+    }
 
-            this.showToast('Welcome back, ' + validation.user.login + '!', 'success');
+    /**
+     * Attributes for a rendered button that changes the repository
+     */
+    writeAttrs() {
+        return this.readOnly ? 'data-write disabled' : 'data-write';
+    }
+
+    /**
+     * Key rotation applies to tokens remembered without a passphrase
+     */
+    async updateKeyRotationButton() {
+        const mode = await this.cryptoUtils.getVaultMode();
+        document.getElementById('rotate-key-btn').classList.toggle('hidden', mode !== 'stored-key' && mode !== 'device');
+    }
 
+    /**
+     * Re-encrypt the remembered token with a new key and discard the old key
+     */
+    async rotateCredentialsKey() {
+        try {
+            const vault = await this.cryptoUtils.rotateKey();
+            this.showToast(`Saved token re-encrypted with a new key (${new Date(vault.createdAt).toLocaleString()})`, 'success');
         } catch (error) {
-            this.showToast(error.message, 'error');
+            this.showToast('Key rotation failed: ' + error.message, 'error');
+        }
+        await this.updateKeyRotationButton();
+    }
+
+    /**
+     * Lock the session once no activity has been seen for autoLockDelay
+     */
+    startAutoLock() {
+        this.stopAutoLock();
+        this.lastActivity = Date.now();
+        this.autoLockTimer = setInterval(() => {
+            if (Date.now() - this.lastActivity >= this.autoLockDelay) {
+                this.lock();
+            }
+        }, 15000);
+    }
+
+    stopAutoLock() {
+        clearInterval(this.autoLockTimer);
+        this.autoLockTimer = null;
+    }
+
+    /**
+     * Forget the token and everything loaded with it; the passphrase unlocks it again
+     */
+    async lock() {
+        this.stashOpenEditor();
+        this.closeAllModals();
+        await this.handleLogout(`Locked after ${Math.round(this.autoLockDelay / 60000)} minutes without activity`);
+    }
+
+    /**
+     * Keep the form of an open post, project, category or tag editor in
+     * sessionStorage when the session ends, so restoreOpenEditor() can reopen
+     * it after signing in again. Images not uploaded yet cannot be kept.
+     */
+    stashOpenEditor() {
+        const editors = {
+            post: this.currentEditPost,
+            project: this.currentEditProject,
+            category: this.currentEditCategory,
+            tag: this.currentEditTag
+        };
+        const kind = Object.keys(editors).find(name => document.getElementById(`${name}-modal`).classList.contains('active'));
+        if (!kind) return;
+
+        const fields = {};
+        document.querySelectorAll(`#${kind}-form :is(input, textarea, select)[id]`).forEach(field => {
+            if (field.type === 'file' || field.id === 'project-case-study') return;
+            fields[field.id] = field.type === 'checkbox' ? field.checked : field.value;
+        });
+
+        const stash = {
+            kind,
+            login: this.userLogin,
+            // The item as it was loaded, so saving still detects changes made elsewhere
+            item: editors[kind],
+            fields,
+            lostImages: !!(this.pendingImageUpload || this.pendingProjectImageUpload || this.pendingInlineImages.size)
+        };
+        if (kind === 'post') {
+            stash.readTimeAuto = document.getElementById('post-read-time').dataset.auto;
+            stash.frontMatterRows = [...document.querySelectorAll('#front-matter-editor .front-matter-row')]
+                .map(row => [row.querySelector('.front-matter-key').value, row.querySelector('.front-matter-value').value]);
+        }
+        if (kind === 'project') {
+            stash.projectsSha = this.currentEditProjectsSha;
+            stash.gallery = this.projectGallery;
+            if (this.projectCaseStudyLoaded) {
+                stash.caseStudy = document.getElementById('project-case-study').value;
+            }
+        }
+
+        try {
+            sessionStorage.setItem(this.editorStashKey, JSON.stringify(stash));
+        } catch (error) {
+            console.warn('Failed to keep the open editor:', error);
+        }
+    }
+
+    /**
+     * Reopen the editor stashOpenEditor() kept, if the same account signed in
+     */
+    restoreOpenEditor() {
+        const stored = sessionStorage.getItem(this.editorStashKey);
+        if (!stored) return;
+        sessionStorage.removeItem(this.editorStashKey);
+
+        const stash = JSON.parse(stored);
+        if (stash.login !== this.userLogin) return;
+
+        switch (stash.kind) {
+            case 'post':
+                this.openPostModal(stash.item);
+                document.getElementById('front-matter-editor').innerHTML = '';
+                stash.frontMatterRows.forEach(([key, value]) => this.addFrontMatterRow(key, value));
+                document.getElementById('post-read-time').dataset.auto = stash.readTimeAuto;
+                break;
+            case 'project':
+                this.openProjectModal(stash.item, stash.caseStudy);
+                this.currentEditProjectsSha = stash.projectsSha;
+                this.projectGallery = stash.gallery;
+                this.renderProjectGallery();
+                break;
+            case 'category':
+                this.openCategoryModal(stash.item);
+                break;
+            case 'tag':
+                this.openTagModal(stash.item);
+                break;
+            default:
+                return;
+        }
+
+        Object.entries(stash.fields).forEach(([id, value]) => {
+            const field = document.getElementById(id);
+            if (!field) return;
+            if (field.type === 'checkbox') {
+                field.checked = value;
+            } else {
+                field.value = value;
+            }
+        });
+        this.showImagePreview(stash.kind);
+        if (stash.kind === 'post') this.markdownEditor.refresh();
+
+        this.showToast(`Reopened the ${stash.kind} you were editing${stash.lostImages ? '; add the images that were not uploaded yet again' : ''}`, 'info');
+    }
+
+    /**
+     * Show the image of the post or project form's image path field
+     */
+    showImagePreview(kind) {
+        const fields = {
+            post: { path: 'post-image-path', preview: 'thumbnail-preview', remove: 'remove-thumbnail-btn' },
+            project: { path: 'project-image-path', preview: 'project-image-preview', remove: 'remove-project-image-btn' }
+        }[kind];
+        if (!fields) return;
+
+        const path = document.getElementById(fields.path).value;
+        document.getElementById(fields.preview).innerHTML = path
+            ? `<img src="${path.startsWith('/') ? '..' + encodeURI(path) : this.escapeHtml(path)}" alt="Selected image">`
+            : '<span>No image selected</span>';
+        document.getElementById(fields.remove).style.display = path ? 'block' : 'none';
+    }
+
+    /**
+     * Work against a checkout on disk served by admin/dev-server.js (no token needed)
+     */
+    async handleLocalLogin(submitBtn) {
+        submitBtn.disabled = true;
+
+        try {
+            const storage = new LocalDirectoryStorageAdapter();
+            // Fails fast if the dev server isn't running
+            await storage.ping();
+
+            this.githubAPI = new GitHubAPI(null, undefined, undefined, storage);
+            this.setReadOnly(null);
+
+            document.getElementById('login-screen').classList.add('hidden');
+            document.getElementById('dashboard').classList.remove('hidden');
+            document.getElementById('user-info').textContent = 'Local directory';
+
+            await this.loadDashboardData();
+            this.showToast('Connected to local directory', 'success');
+        } catch (error) {
+            this.showToast('Local dev server not reachable: ' + error.message, 'error');
             this.githubAPI = null;
         } finally {
             submitBtn.disabled = false;
-            submitBtn.innerHTML = '<span>Sign In</span><svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M5 12h14M12 5l7 7-7 7"/></svg>';
         }
     }
 
-    async handleLogout() {
+    async handleLogout(message = 'Logged out successfully', type = 'info') {
+        // Covers lock() and expired sessions too: nothing loaded with the token outlives it
+        await this.githubAPI?.cache.clear();
         this.githubAPI = null;
+        this.stopAutoLock();
+        this.setReadOnly(null);
+        this.updateRateLimitDisplay(null);
+        this.userLogin = null;
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
         this.posts = [];
+        this.drafts = [];
         this.projects = [];
+        this.projectsSha = null;
         this.categories = [];
         this.tags = [];
+        this.images = null;
+        this.imageManifest = {};
 
         document.getElementById('dashboard').classList.add('hidden');
         document.getElementById('login-screen').classList.remove('hidden');
 
         // Clear form but keep stored credentials
         document.getElementById('login-form').reset();
+        this.handleBackendChange('github');
         await this.checkStoredCredentials();
 
-        this.showToast('Logged out successfully', 'info');
+        this.showToast(message, type);
     }
 
     // ============================================
@@ -218,10 +787,15 @@ class AdminDashboard {
             posts: 'Blog Posts',
             projects: 'My Projects',
             categories: 'Categories',
-            tags: 'Tags'
+            tags: 'Tags',
+            media: 'Media Library'
         };
         document.getElementById('page-title').textContent = titles[page] || 'Dashboard';
 
+        if (page === 'media') {
+            this.loadMedia();
+        }
+
         // Close sidebar on mobile
         document.querySelector('.sidebar')?.classList.remove('open');
     }
@@ -294,6 +868,31 @@ class AdminDashboard {
                 </div>
             `).join('');
         }
+
+        // Update upcoming (scheduled) posts
+        const upcomingContainer = document.getElementById('upcoming-posts');
+        const scheduled = this.githubAPI.getScheduledPosts(this.posts);
+        if (scheduled.length === 0) {
+            upcomingContainer.innerHTML = '<div class="empty-state"><p>No scheduled posts</p></div>';
+        } else {
+            upcomingContainer.innerHTML = scheduled.map(post => `
+                <div class="recent-item">
+                    <div class="recent-item-icon">
+                        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <circle cx="12" cy="12" r="10"/>
+                            <polyline points="12 6 12 12 16 14"/>
+                        </svg>
+                    </div>
+                    <div class="recent-item-info">
+                        <div class="recent-item-title">${this.escapeHtml(post.title)}</div>
+                        <div class="recent-item-date">
+                            ${this.formatDate(this.githubAPI.getPublishTime(post))} ·
+                            <span data-publish-at="${this.githubAPI.getPublishTime(post).toISOString()}">${this.formatCountdown(this.githubAPI.getPublishTime(post))}</span>
+                        </div>
+                    </div>
+                </div>
+            `).join('');
+        }
     }
 
     // ============================================
@@ -306,10 +905,12 @@ class AdminDashboard {
 
         try {
             this.posts = await this.githubAPI.getPosts();
-            this.categories = await this.githubAPI.getCategories();
-            this.tags = await this.githubAPI.getTags();
+            this.drafts = await this.githubAPI.getDrafts();
+            this.categories = await this.githubAPI.getCategories(this.posts);
+            this.tags = await this.githubAPI.getTags(this.posts);
             
             this.renderPosts();
+            this.renderDrafts();
             this.renderCategories();
             this.renderTags();
         } catch (error) {
@@ -320,6 +921,7 @@ class AdminDashboard {
 
     renderPosts(posts = this.posts) {
         const container = document.getElementById('posts-list');
+        this.startCountdownTimer();
         
         if (posts.length === 0) {
             container.innerHTML = `
@@ -335,27 +937,60 @@ class AdminDashboard {
             return;
         }
 
-        container.innerHTML = posts.map(post => `
+        container.innerHTML = posts.map(post => this.renderPostCard(post)).join('');
+    }
+
+    renderDrafts(drafts = this.drafts) {
+        const container = document.getElementById('drafts-list');
+
+        if (drafts.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No drafts</p></div>';
+            return;
+        }
+
+        container.innerHTML = drafts.map(post => this.renderPostCard(post)).join('');
+    }
+
+    renderPostCard(post) {
+        const draftArg = post.draft ? ', true' : '';
+        return `
             <div class="post-card" data-filename="${post.filename}">
                 <div class="post-card-image" style="background-image: url('${post.image ? (post.image.startsWith('/') ? '..' + post.image : post.image) : '../src/assets/images/default-blog-image.svg'}')">
                     ${post.categories.length > 0 ? `<span class="post-card-category">${this.escapeHtml(post.categories[0])}</span>` : ''}
+                    ${post.draft ? '<span class="post-card-draft">Draft</span>' : ''}
+                    ${this.githubAPI.isScheduled(post) ? `<span class="post-card-scheduled" title="Jekyll skips this post until its date">Scheduled · <span data-publish-at="${this.githubAPI.getPublishTime(post).toISOString()}">${this.formatCountdown(this.githubAPI.getPublishTime(post))}</span></span>` : ''}
                 </div>
                 <div class="post-card-content">
                     <h3 class="post-card-title">${this.escapeHtml(post.title)}</h3>
                     <p class="post-card-excerpt">${this.escapeHtml(post.description || '')}</p>
                     <div class="post-card-meta">
-                        <span>${this.formatDate(post.date)}</span>
+                        <span>${post.date ? this.formatDate(post.date) : 'Undated'}</span>
                         ${post.readTime ? `<span>${post.readTime}</span>` : ''}
                     </div>
                     <div class="post-card-actions">
-                        <button class="btn btn-secondary btn-sm" onclick="admin.editPost('${post.filename}')">
+                        <button class="btn btn-secondary btn-sm" ${this.writeAttrs()} onclick="admin.editPost('${post.filename}'${draftArg})">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                             </svg>
                             Edit
                         </button>
-                        <button class="btn btn-ghost btn-sm" onclick="admin.deletePostConfirm('${post.filename}', '${post.sha}')">
+                        ${post.draft ? `
+                        <button class="btn btn-primary btn-sm" ${this.writeAttrs()} onclick="admin.publishDraft('${post.filename}')">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M22 2L11 13M22 2l-7 20-4-9-9-4 20-7z"/>
+                            </svg>
+                            Publish
+                        </button>
+                        ` : `
+                        <button class="btn btn-ghost btn-sm" ${this.writeAttrs()} onclick="admin.unpublishPost('${post.filename}')">
+                            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <path d="M3 12h18M3 12l6-6M3 12l6 6"/>
+                            </svg>
+                            Unpublish
+                        </button>
+                        `}
+                        <button class="btn btn-ghost btn-sm" ${this.writeAttrs()} onclick="admin.deletePostConfirm('${post.filename}', '${post.sha}'${draftArg})">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="3 6 5 6 21 6"/>
                                 <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
@@ -365,29 +1000,36 @@ class AdminDashboard {
                     </div>
                 </div>
             </div>
-        `).join('');
+        `;
     }
 
     filterPosts(query) {
-        const filtered = this.posts.filter(post => 
+        const matches = post =>
             post.title.toLowerCase().includes(query.toLowerCase()) ||
             post.description?.toLowerCase().includes(query.toLowerCase()) ||
             post.categories.some(c => c.toLowerCase().includes(query.toLowerCase())) ||
-            post.tags.some(t => t.toLowerCase().includes(query.toLowerCase()))
-        );
-        this.renderPosts(filtered);
+            post.tags.some(t => t.toLowerCase().includes(query.toLowerCase()));
+        this.renderPosts(this.posts.filter(matches));
+        this.renderDrafts(this.drafts.filter(matches));
     }
 
     openPostModal(post = null) {
         this.currentEditPost = post;
         this.pendingImageUpload = null;
+        this.clearInlineImages();
         const modal = document.getElementById('post-modal');
         const title = document.getElementById('post-modal-title');
         const form = document.getElementById('post-form');
 
-        title.textContent = post ? 'Edit Post' : 'New Post';
+        title.textContent = post ? (post.draft ? 'Edit Draft' : 'Edit Post') : 'New Post';
         form.reset();
 
+        // New posts can go either way; existing ones stay where they are until (un)published
+        const saveDraftBtn = document.getElementById('save-draft-btn');
+        saveDraftBtn.style.display = post && !post.draft ? 'none' : '';
+        saveDraftBtn.innerHTML = `<span>${post ? 'Save Draft' : 'Save as Draft'}</span>`;
+        document.getElementById('save-post-btn').style.display = post && post.draft ? 'none' : '';
+
         if (post) {
             document.getElementById('post-title').value = post.title;
             document.getElementById('post-date').value = post.date;
@@ -415,37 +1057,95 @@ class AdminDashboard {
             document.getElementById('remove-thumbnail-btn').style.display = 'none';
         }
 
+        this.renderFrontMatterEditor(post ? post.frontMatter : {});
+        document.getElementById('post-read-time').dataset.auto = post && post.readTime ? 'false' : 'true';
+        this.markdownEditor.refresh();
         modal.classList.add('active');
     }
 
-    editPost(filename) {
-        const post = this.posts.find(p => p.filename === filename);
+    /**
+     * Fill in the read time computed by the editor unless one was typed
+     */
+    updateAutoReadTime(readTime) {
+        const input = document.getElementById('post-read-time');
+        if (input.dataset.auto === 'true') {
+            input.value = readTime;
+        }
+    }
+
+    editPost(filename, draft = false) {
+        const post = (draft ? this.drafts : this.posts).find(p => p.filename === filename);
         if (post) {
             this.openPostModal(post);
         }
     }
 
-    // Fixed: Handle thumbnail selection and preview
-    handleThumbnailSelect(e) {
-        const file = e.target.files[0];
-        if (!file) return;
+    /**
+     * Hold an image pasted or dropped into the body until the post is saved
+     * @returns {{url: string, alt: string}} where the image will live once committed
+     */
+    async queueInlineImage(file) {
+        const image = await this.processImage(file);
+        if (!image) {
+            throw new Error(`Could not use ${file.name}`);
+        }
+
+        const filename = await this.githubAPI.generateImageFilename(image.file);
+        const existing = await this.githubAPI.findExistingImage(image.file, filename);
+        if (existing) {
+            this.showToast(`${file.name} is already in the media library as ${existing.name}`, 'info');
+            return { url: `/${existing.path}`, alt: file.name.replace(/\.[^/.]+$/, '') };
+        }
+
+        const url = `/src/assets/images/${filename}`;
+        if (!this.pendingInlineImages.has(url)) {
+            this.pendingInlineImages.set(url, { image, filename, objectUrl: URL.createObjectURL(image.file) });
+        }
 
-        // Validate file type
+        return { url, alt: file.name.replace(/\.[^/.]+$/, '') };
+    }
+
+    /**
+     * Resize and re-encode a selected image, reporting problems as toasts
+     * @returns {Promise<object|null>} ImageProcessor result, or null if the file can't be used
+     */
+    async processImage(file) {
         if (!file.type.startsWith('image/')) {
             this.showToast('Please select an image file', 'error');
-            e.target.value = '';
-            return;
+            return null;
+        }
+
+        try {
+            const image = await this.imageProcessor.process(file);
+            if (image.file.size > 5 * 1024 * 1024) {
+                this.showToast(`${file.name}: image size must be less than 5MB`, 'error');
+                return null;
+            }
+            return image;
+        } catch (error) {
+            this.showToast(`Could not process ${file.name}: ${error.message}`, 'error');
+            return null;
         }
+    }
 
-        // Validate file size (max 5MB)
-        if (file.size > 5 * 1024 * 1024) {
-            this.showToast('Image size must be less than 5MB', 'error');
+    clearInlineImages() {
+        this.pendingInlineImages.forEach(image => URL.revokeObjectURL(image.objectUrl));
+        this.pendingInlineImages.clear();
+    }
+
+    // Fixed: Handle thumbnail selection and preview
+    async handleThumbnailSelect(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const image = await this.processImage(file);
+        if (!image) {
             e.target.value = '';
             return;
         }
 
-        // Store file for later upload
-        this.pendingImageUpload = file;
+        // Store processed image for later upload
+        this.pendingImageUpload = image;
 
         // Show preview
         const reader = new FileReader();
@@ -454,9 +1154,9 @@ class AdminDashboard {
             preview.innerHTML = `<img src="${event.target.result}" alt="Thumbnail preview">`;
             document.getElementById('remove-thumbnail-btn').style.display = 'block';
         };
-        reader.readAsDataURL(file);
+        reader.readAsDataURL(image.file);
         
-        this.showToast('Image selected. It will be uploaded when you save the post.', 'info');
+        this.showToast(`Image ready (${this.formatBytes(image.file.size)}). It will be uploaded when you save the post.`, 'info');
     }
 
     removeThumbnail() {
@@ -467,7 +1167,78 @@ class AdminDashboard {
         this.pendingImageUpload = null;
     }
 
-    async savePost() {
+    // ============================================
+    // Advanced Front Matter
+    // ============================================
+
+    /**
+     * One row per front matter key that has no field of its own in the post form
+     */
+    renderFrontMatterEditor(frontMatter) {
+        document.getElementById('front-matter-editor').innerHTML = '';
+        Object.entries(frontMatter || {})
+            .filter(([key]) => !this.githubAPI.postFields.includes(key))
+            .forEach(([key, value]) => this.addFrontMatterRow(key, this.githubAPI.frontMatter.stringifyValue(value)));
+    }
+
+    addFrontMatterRow(key = '', value = '') {
+        const row = document.createElement('div');
+        row.className = 'front-matter-row';
+        row.innerHTML = `
+            <input type="text" class="front-matter-key" placeholder="key">
+            <textarea class="front-matter-value" rows="${Math.max(1, value.split('\n').length)}" placeholder="value"></textarea>
+            <button type="button" class="btn btn-ghost btn-sm" title="Remove field" onclick="this.closest('.front-matter-row').remove()">&times;</button>
+        `;
+        row.querySelector('.front-matter-key').value = key;
+        row.querySelector('.front-matter-value').value = value;
+        document.getElementById('front-matter-editor').appendChild(row);
+        if (!key) {
+            row.querySelector('.front-matter-key').focus();
+        }
+    }
+
+    /**
+     * Front matter object from the editor rows (throws on invalid input)
+     */
+    readFrontMatterEditor() {
+        const frontMatter = {};
+
+        document.querySelectorAll('#front-matter-editor .front-matter-row').forEach(row => {
+            const key = row.querySelector('.front-matter-key').value.trim();
+            const text = row.querySelector('.front-matter-value').value;
+            if (!key) {
+                if (text.trim()) throw new Error('Every advanced front matter value needs a key');
+                return;
+            }
+            if (this.githubAPI.postFields.includes(key)) {
+                throw new Error(`"${key}" has its own field in the form above`);
+            }
+            if (key in frontMatter) {
+                throw new Error(`Front matter key "${key}" is used twice`);
+            }
+
+            try {
+                frontMatter[key] = this.githubAPI.frontMatter.parseValue(text);
+            } catch (error) {
+                throw new Error(`Invalid YAML for "${key}": ${error.message}`);
+            }
+        });
+
+        return frontMatter;
+    }
+
+    /**
+     * Save the post modal; asDraft only applies to new posts
+     */
+    async savePost(asDraft = false) {
+        let frontMatter;
+        try {
+            frontMatter = this.readFrontMatterEditor();
+        } catch (error) {
+            this.showToast(error.message, 'error');
+            return;
+        }
+
         const post = {
             title: document.getElementById('post-title').value.trim(),
             date: document.getElementById('post-date').value,
@@ -476,58 +1247,349 @@ class AdminDashboard {
             tags: document.getElementById('post-tags').value.split(',').map(t => t.trim()).filter(t => t),
             readTime: document.getElementById('post-read-time').value.trim(),
             image: document.getElementById('post-image-path').value,
-            content: document.getElementById('post-content').value
+            content: document.getElementById('post-content').value,
+            draft: this.currentEditPost ? this.currentEditPost.draft : asDraft,
+            frontMatter,
+            frontMatterSource: this.currentEditPost ? this.currentEditPost.frontMatterSource : null
+        };
+
+        if (!post.title || !post.date || !post.content) {
+            this.showToast('Please fill in all required fields', 'error');
+            return;
+        }
+
+        const saveBtn = document.getElementById(post.draft ? 'save-draft-btn' : 'save-post-btn');
+        const saveLabel = saveBtn.innerHTML;
+        saveBtn.disabled = true;
+        saveBtn.innerHTML = '<span>Saving...</span>';
+
+        // Image and post land in the same commit
+        const transaction = this.githubAPI.beginTransaction();
+        const originalFilename = document.getElementById('post-original-filename').value;
+
+        try {
+            // Stage image if pending
+            if (this.pendingImageUpload) {
+                const result = await this.githubAPI.uploadImageSet(this.pendingImageUpload, transaction);
+                post.image = result.path;
+            }
+
+            // Stage pasted/dropped images the body still refers to
+            for (const [url, pending] of this.pendingInlineImages) {
+                if (post.content.includes(`(${url})`)) {
+                    await this.githubAPI.uploadImageSet(pending.image, transaction, { filename: pending.filename });
+                }
+            }
+
+            if (this.currentEditPost) {
+                post.sha = this.currentEditPost.sha;
+            }
+            await this.commitPost(post, originalFilename, transaction);
+
+        } catch (error) {
+            // Merge only against newer versions of this post, not another post
+            // already at the filename a rename would take
+            const editedPath = this.currentEditPost && this.githubAPI.postPath(this.currentEditPost.filename, this.currentEditPost.draft);
+            if (error instanceof GitHubConflictError && error.path && error.path === editedPath) {
+                this.openConflictModal(post, originalFilename, transaction, error);
+            } else {
+                this.showToast('Failed to save post: ' + error.message, 'error');
+            }
+        } finally {
+            saveBtn.disabled = false;
+            saveBtn.innerHTML = saveLabel;
+        }
+    }
+
+    /**
+     * Stage the post in transaction, commit and refresh the list
+     */
+    async commitPost(post, originalFilename, transaction) {
+        const kind = post.draft ? 'draft' : 'post';
+        const schedule = this.githubAPI.getScheduleSignature(this.posts);
+        if (this.currentEditPost) {
+            await this.githubAPI.updatePost(post, originalFilename, transaction);
+            await transaction.commit(`Update ${kind}: ${post.title}`);
+            this.showToast(post.draft ? 'Draft updated successfully' : 'Post updated successfully', 'success');
+        } else {
+            await this.githubAPI.createPost(post, transaction);
+            await transaction.commit(`Create ${kind}: ${post.title}`);
+            this.showToast(post.draft ? 'Draft saved successfully' : 'Post created successfully', 'success');
+        }
+
+        this.closeAllModals();
+        await this.loadPosts();
+        this.updateDashboardStats();
+        await this.syncScheduleWorkflowIfChanged(schedule);
+    }
+
+    // ============================================
+    // Scheduled Publishing
+    // ============================================
+
+    /**
+     * Time left until a scheduled post goes live, e.g. "in 2d 5h"
+     */
+    formatCountdown(publishTime) {
+        const minutes = Math.ceil((publishTime - Date.now()) / 60000);
+        if (minutes <= 0) {
+            return 'due, waiting for rebuild';
+        }
+
+        const days = Math.floor(minutes / 1440);
+        const hours = Math.floor((minutes % 1440) / 60);
+        if (days > 0) return `in ${days}d ${hours}h`;
+        if (hours > 0) return `in ${hours}h ${minutes % 60}m`;
+        return `in ${minutes}m`;
+    }
+
+    /**
+     * Refresh countdown badges once a minute
+     */
+    startCountdownTimer() {
+        if (this.countdownTimer) return;
+
+        this.countdownTimer = setInterval(() => {
+            document.querySelectorAll('[data-publish-at]').forEach(element => {
+                element.textContent = this.formatCountdown(new Date(element.dataset.publishAt));
+            });
+        }, 60000);
+    }
+
+    /**
+     * Regenerate the workflow that rebuilds the site when scheduled posts are due
+     * @param {boolean} notifyUnchanged - Also confirm when nothing had to change
+     */
+    async syncScheduleWorkflow(notifyUnchanged = false) {
+        try {
+            const result = await this.githubAPI.updateScheduleWorkflow(this.posts);
+            if (result === 'updated') {
+                this.showToast('Publish schedule updated', 'success');
+            } else if (result === 'removed') {
+                this.showToast('Publish schedule removed, no posts are scheduled', 'info');
+            } else if (notifyUnchanged) {
+                this.showToast('Publish schedule is up to date', 'info');
+            }
+        } catch (error) {
+            const hint = [403, 404].includes(error.status) ? ' Check that your token has the workflow scope.' : '';
+            this.showToast(`Failed to update the publish schedule: ${error.message}.${hint}`, 'error');
+        }
+    }
+
+    /**
+     * Sync the workflow only when a change added, removed or moved a scheduled
+     * post, so ordinary saves need no workflow scope
+     * @param {string} previous - getScheduleSignature() from before the change
+     */
+    async syncScheduleWorkflowIfChanged(previous) {
+        if (this.githubAPI.getScheduleSignature(this.posts) !== previous) {
+            await this.syncScheduleWorkflow();
+        }
+    }
+
+    // ============================================
+    // Conflict Resolution
+    // ============================================
+
+    /**
+     * Show base / mine / theirs for a post that changed on GitHub while it was being edited
+     */
+    openConflictModal(mine, originalFilename, transaction, error) {
+        const base = this.currentEditPost;
+        const remote = error.remote;
+        const theirs = remote ? this.githubAPI.parsePost(remote.content, originalFilename) : null;
+        if (theirs) {
+            theirs.draft = base.draft;
+        }
+
+        const fields = theirs ? [
+            ...this.mergeUtils.mergeFields(base, mine, theirs, this.githubAPI.postFields),
+            ...this.mergeFrontMatterFields(base, mine, theirs)
+        ] : [];
+        const hunks = theirs ? this.mergeUtils.threeWayMerge(base.content, mine.content, theirs.content) : [];
+
+        this.pendingConflict = { base, mine, theirs, remote, path: error.path, originalFilename, transaction, fields, hunks };
+
+        document.getElementById('conflict-message').textContent = theirs
+            ? `"${base.title}" was changed on GitHub after you opened it. Choose which version to keep, or merge both.`
+            : `"${base.title}" was deleted on GitHub after you opened it.`;
+        document.getElementById('save-merge-btn').style.display = theirs ? '' : 'none';
+        document.getElementById('take-theirs-btn').textContent = theirs ? 'Take Theirs' : 'Discard Mine';
+
+        this.renderConflictFields(fields);
+        this.renderConflictHunks(hunks);
+
+        document.getElementById('post-modal').classList.remove('active');
+        document.getElementById('conflict-modal').classList.add('active');
+    }
+
+    /**
+     * Field merge of the keys edited in "Advanced Front Matter"
+     */
+    mergeFrontMatterFields(base, mine, theirs) {
+        const keys = new Set([base, mine, theirs].flatMap(post => Object.keys(post.frontMatter || {})));
+        const extraKeys = Array.from(keys).filter(key => !this.githubAPI.postFields.includes(key));
+
+        return this.mergeUtils
+            .mergeFields(base.frontMatter || {}, mine.frontMatter || {}, theirs.frontMatter || {}, extraKeys)
+            .map(field => ({ ...field, frontMatter: true }));
+    }
+
+    renderConflictFields(fields) {
+        const container = document.getElementById('conflict-fields');
+        const format = (value) => {
+            if (value === undefined || value === null || value === '') return '—';
+            if (Array.isArray(value)) return this.escapeHtml(value.join(', '));
+            return this.escapeHtml(typeof value === 'object' ? JSON.stringify(value) : String(value));
         };
+        const changed = fields.filter(field => JSON.stringify(field.mine) !== JSON.stringify(field.theirs));
 
-        if (!post.title || !post.date || !post.content) {
-            this.showToast('Please fill in all required fields', 'error');
+        if (changed.length === 0) {
+            container.innerHTML = '';
             return;
         }
 
-        const saveBtn = document.getElementById('save-post-btn');
-        saveBtn.disabled = true;
-        saveBtn.innerHTML = '<span>Saving...</span>';
+        container.innerHTML = `
+            <h4>Front Matter</h4>
+            <div class="conflict-table">
+                <div class="conflict-row conflict-row--head">
+                    <span>Field</span><span>Base</span><span>Mine</span><span>Theirs</span>
+                </div>
+                ${changed.map(field => `
+                    <div class="conflict-row ${field.conflict ? 'conflict-row--conflict' : ''}">
+                        <span>${field.key}</span>
+                        <span>${format(field.base)}</span>
+                        <label><input type="radio" name="field-${field.key}" value="mine" ${JSON.stringify(field.value) === JSON.stringify(field.mine) ? 'checked' : ''}> ${format(field.mine)}</label>
+                        <label><input type="radio" name="field-${field.key}" value="theirs" ${JSON.stringify(field.value) !== JSON.stringify(field.mine) ? 'checked' : ''}> ${format(field.theirs)}</label>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+    }
 
-        try {
-            // Upload image if pending
-            if (this.pendingImageUpload) {
-                this.showToast('Uploading image...', 'info');
-                const result = await this.githubAPI.uploadPostImage(this.pendingImageUpload);
-                post.image = result.path;
-                this.pendingImageUpload = null;
-            }
+    renderConflictHunks(hunks) {
+        const container = document.getElementById('conflict-hunks');
+        const lines = (list, prefix) => list.map(line => `${prefix} ${this.escapeHtml(line)}`).join('\n');
 
-            const originalFilename = document.getElementById('post-original-filename').value;
-            
-            if (this.currentEditPost) {
-                post.sha = this.currentEditPost.sha;
-                await this.githubAPI.updatePost(post, originalFilename);
-                this.showToast('Post updated successfully', 'success');
-            } else {
-                await this.githubAPI.createPost(post);
-                this.showToast('Post created successfully', 'success');
-            }
+        if (hunks.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <h4>Content</h4>
+            ${hunks.map((hunk, index) => {
+                if (hunk.type === 'stable') {
+                    const shown = hunk.lines.length > 6
+                        ? [...hunk.lines.slice(0, 3), `… ${hunk.lines.length - 6} unchanged lines …`, ...hunk.lines.slice(-3)]
+                        : hunk.lines;
+                    return `<pre class="diff-hunk diff-hunk--stable">${lines(shown, ' ')}</pre>`;
+                }
+                if (hunk.type !== 'conflict') {
+                    const source = { mine: 'Mine', theirs: 'Theirs', same: 'Both' }[hunk.type];
+                    return `
+                        <div class="diff-hunk diff-hunk--${hunk.type}">
+                            <div class="diff-hunk-label">Auto-merged from ${source}</div>
+                            <pre>${lines(hunk.base, '-')}${hunk.base.length ? '\n' : ''}${lines(hunk.lines, '+')}</pre>
+                        </div>
+                    `;
+                }
+                return `
+                    <div class="diff-hunk diff-hunk--conflict">
+                        <div class="diff-hunk-label">
+                            Conflict
+                            <select data-hunk="${index}">
+                                <option value="mine">Use mine</option>
+                                <option value="theirs">Use theirs</option>
+                                <option value="both">Use both (mine first)</option>
+                            </select>
+                        </div>
+                        <div class="diff-columns">
+                            <div><span>Base</span><pre>${lines(hunk.base, ' ')}</pre></div>
+                            <div><span>Mine</span><pre>${lines(hunk.mine, '+')}</pre></div>
+                            <div><span>Theirs</span><pre>${lines(hunk.theirs, '+')}</pre></div>
+                        </div>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    /**
+     * Retry the save with the chosen resolution against the current remote sha
+     */
+    async resolveConflict(strategy) {
+        const conflict = this.pendingConflict;
+        if (!conflict) return;
 
+        if (strategy === 'theirs') {
             this.closeAllModals();
+            this.showToast('Kept the version from GitHub', 'info');
             await this.loadPosts();
             this.updateDashboardStats();
+            return;
+        }
 
+        let post = { ...conflict.mine, frontMatter: { ...conflict.mine.frontMatter } };
+        if (strategy === 'merge') {
+            conflict.fields.forEach(field => {
+                const choice = document.querySelector(`input[name="field-${field.key}"]:checked`)?.value;
+                const value = choice === 'theirs' ? field.theirs : (choice === 'mine' ? field.mine : field.value);
+                if (field.frontMatter) {
+                    post.frontMatter[field.key] = value;
+                } else {
+                    post[field.key] = value;
+                }
+            });
+
+            const choices = {};
+            document.querySelectorAll('#conflict-hunks select[data-hunk]').forEach(select => {
+                choices[select.dataset.hunk] = select.value;
+            });
+            post.content = this.mergeUtils.applyHunks(conflict.hunks, choices);
+        }
+
+        // Write on top of GitHub's layout so its comments survive
+        if (conflict.theirs) {
+            post.frontMatterSource = conflict.theirs.frontMatterSource;
+        }
+
+        // Overwrite whatever is on GitHub now, or recreate it if it was deleted
+        post.sha = conflict.remote ? conflict.remote.sha : null;
+        const originalFilename = conflict.remote ? conflict.originalFilename : '';
+        if (!conflict.remote) {
+            conflict.transaction.unstage(conflict.path);
+            this.currentEditPost = null;
+        }
+
+        const buttons = document.querySelectorAll('#conflict-modal .modal-footer .btn');
+        buttons.forEach(btn => btn.disabled = true);
+
+        try {
+            await this.commitPost(post, originalFilename, conflict.transaction);
         } catch (error) {
-            this.showToast('Failed to save post: ' + error.message, 'error');
+            if (error instanceof GitHubConflictError && error.path === conflict.path) {
+                // What was just merged against becomes the new base
+                this.currentEditPost = conflict.theirs || conflict.base;
+                this.openConflictModal(post, conflict.originalFilename, conflict.transaction, error);
+            } else {
+                this.showToast('Failed to save post: ' + error.message, 'error');
+            }
         } finally {
-            saveBtn.disabled = false;
-            saveBtn.innerHTML = '<span>Save Post</span>';
+            buttons.forEach(btn => btn.disabled = false);
         }
     }
 
-    deletePostConfirm(filename, sha) {
+    deletePostConfirm(filename, sha, draft = false) {
         document.getElementById('delete-message').textContent = `Are you sure you want to delete "${filename}"?`;
         this.deleteCallback = async () => {
             try {
-                await this.githubAPI.deletePost(filename, sha);
+                const schedule = this.githubAPI.getScheduleSignature(this.posts);
+                await this.githubAPI.deletePost(filename, sha, draft);
                 this.showToast('Post deleted successfully', 'success');
                 await this.loadPosts();
                 this.updateDashboardStats();
+                await this.syncScheduleWorkflowIfChanged(schedule);
             } catch (error) {
                 this.showToast('Failed to delete post: ' + error.message, 'error');
             }
@@ -535,6 +1597,45 @@ class AdminDashboard {
         document.getElementById('delete-modal').classList.add('active');
     }
 
+    /**
+     * Move a draft into _posts, dated today
+     */
+    async publishDraft(filename) {
+        const draft = this.drafts.find(p => p.filename === filename);
+        if (!draft) return;
+
+        try {
+            const schedule = this.githubAPI.getScheduleSignature(this.posts);
+            const today = new Date().toISOString().split('T')[0];
+            await this.githubAPI.publishDraft(draft, today);
+            this.showToast(`Published "${draft.title}"`, 'success');
+            await this.loadPosts();
+            this.updateDashboardStats();
+            await this.syncScheduleWorkflowIfChanged(schedule);
+        } catch (error) {
+            this.showToast('Failed to publish draft: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Move a published post back to _drafts
+     */
+    async unpublishPost(filename) {
+        const post = this.posts.find(p => p.filename === filename);
+        if (!post) return;
+
+        try {
+            const schedule = this.githubAPI.getScheduleSignature(this.posts);
+            await this.githubAPI.unpublishPost(post);
+            this.showToast(`Moved "${post.title}" to drafts`, 'success');
+            await this.loadPosts();
+            this.updateDashboardStats();
+            await this.syncScheduleWorkflowIfChanged(schedule);
+        } catch (error) {
+            this.showToast('Failed to unpublish post: ' + error.message, 'error');
+        }
+    }
+
     // ============================================
     // Projects Management
     // ============================================
@@ -545,13 +1646,44 @@ class AdminDashboard {
 
         try {
             this.projects = await this.githubAPI.getProjects();
-            this.renderProjects();
+            // Saves are checked against it, so changes made elsewhere since are not overwritten
+            this.projectsSha = this.githubAPI.projectsSha;
+            this.setProjectsReorderMode(false);
+            await this.checkProjectsMigration();
         } catch (error) {
             container.innerHTML = `<div class="empty-state"><p>Error loading projects: ${error.message}</p></div>`;
             this.showToast('Failed to load projects', 'error');
         }
     }
 
+    /**
+     * Offer to move project cards still hard-coded in index.html into the data file
+     */
+    async checkProjectsMigration() {
+        const legacy = await this.githubAPI.getLegacyProjectCards();
+        const notice = document.getElementById('projects-migration');
+        notice.style.display = legacy.length ? '' : 'none';
+        document.getElementById('projects-migration-message').textContent =
+            `index.html has ${legacy.length} hard-coded project card(s) (${legacy.map(p => p.title).join(', ')}). ` +
+            'Move them into _data/projects.yml to edit them here.';
+    }
+
+    async migrateProjects() {
+        const btn = document.getElementById('migrate-projects-btn');
+        btn.disabled = true;
+
+        try {
+            const moved = await this.githubAPI.migrateProjectsToData();
+            this.showToast(`Moved ${moved} project(s) to _data/projects.yml`, 'success');
+            await this.loadProjects();
+            this.updateDashboardStats();
+        } catch (error) {
+            this.showToast('Failed to migrate projects: ' + error.message, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
     renderProjects(projects = this.projects) {
         const container = document.getElementById('projects-list');
         
@@ -569,9 +1701,16 @@ class AdminDashboard {
             return;
         }
 
-        container.innerHTML = projects.map((project, index) => `
-            <div class="post-card" data-index="${index}">
+        const reordering = this.projectsOrder !== null;
+        container.classList.toggle('reordering', reordering);
+
+        container.innerHTML = projects.map(project => `
+            <div class="post-card${project.archived ? ' project-card-archived' : ''}" data-id="${this.escapeHtml(project.id)}"${reordering ? ' draggable="true"' : ''}>
                 <div class="post-card-image" style="background-image: url('${project.image ? (project.image.startsWith('/') ? '..' + project.image : project.image) : '../src/assets/images/default-blog-image.svg'}')">
+                    <div class="project-card-badges">
+                        ${project.featured ? '<span class="project-card-badge project-card-badge--featured">Featured</span>' : ''}
+                        ${project.archived ? '<span class="project-card-badge project-card-badge--archived" title="Not shown on the site">Archived</span>' : ''}
+                    </div>
                 </div>
                 <div class="post-card-content">
                     <h3 class="post-card-title">${this.escapeHtml(project.title)}</h3>
@@ -580,26 +1719,125 @@ class AdminDashboard {
                         ${project.tech.slice(0, 3).map(t => `<span class="tech-badge">${this.escapeHtml(t)}</span>`).join('')}
                     </div>
                     <div class="post-card-actions">
-                        <button class="btn btn-secondary btn-sm" onclick="admin.editProject(${index})">
+                        ${reordering ? `
+                        <button class="btn btn-ghost btn-sm" onclick="admin.moveProject('${this.escapeHtml(project.id)}', -1)" title="Move earlier">&uarr;</button>
+                        <button class="btn btn-ghost btn-sm" onclick="admin.moveProject('${this.escapeHtml(project.id)}', 1)" title="Move later">&darr;</button>
+                        ` : `
+                        <button class="btn btn-secondary btn-sm" ${this.writeAttrs()} onclick="admin.editProject('${this.escapeHtml(project.id)}')">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                                 <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                             </svg>
                             Edit
                         </button>
-                        <button class="btn btn-ghost btn-sm" onclick="admin.deleteProjectConfirm(${index})">
+                        <button class="btn btn-ghost btn-sm" ${this.writeAttrs()} onclick="admin.deleteProjectConfirm('${this.escapeHtml(project.id)}')">
                             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                                 <polyline points="3 6 5 6 21 6"/>
                                 <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
                             </svg>
                             Delete
                         </button>
+                        `}
                     </div>
                 </div>
             </div>
         `).join('');
     }
 
+    /**
+     * Switch the projects page in or out of reorder mode, where cards are
+     * dragged into place and the whole order is saved in one commit
+     */
+    setProjectsReorderMode(enabled) {
+        this.projectsOrder = enabled ? this.projects.map(p => p.id) : null;
+        document.getElementById('projects-order-bar').style.display = enabled ? 'flex' : 'none';
+        // Both stay off in read-only mode (setReadOnly)
+        document.getElementById('reorder-projects-btn').disabled = enabled || this.readOnly;
+        document.getElementById('new-project-btn').disabled = enabled || this.readOnly;
+        const search = document.getElementById('projects-search');
+        search.disabled = enabled;
+        if (enabled) search.value = '';
+        this.renderProjects();
+    }
+
+    startProjectsReorder() {
+        if (this.projects.length < 2) {
+            this.showToast('Nothing to reorder', 'info');
+            return;
+        }
+        this.setProjectsReorderMode(true);
+    }
+
+    cancelProjectsReorder() {
+        this.setProjectsReorderMode(false);
+    }
+
+    /**
+     * Move a project one place earlier (-1) or later (1), for keyboard users
+     */
+    moveProject(id, delta) {
+        const from = this.projectsOrder.indexOf(id);
+        const to = from + delta;
+        if (from === -1 || to < 0 || to >= this.projectsOrder.length) return;
+        this.projectsOrder.splice(to, 0, ...this.projectsOrder.splice(from, 1));
+        this.renderProjects(this.projectsOrder.map(orderId => this.projects.find(p => p.id === orderId)));
+    }
+
+    /**
+     * Cards are moved in the DOM while dragging; the order is read back when the drag ends
+     */
+    setupProjectsDragAndDrop() {
+        const container = document.getElementById('projects-list');
+        if (!container) return;
+        let dragged = null;
+
+        container.addEventListener('dragstart', (e) => {
+            dragged = e.target.closest('.post-card[draggable="true"]');
+            if (!dragged) return;
+            dragged.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox only starts a drag when data is set
+            e.dataTransfer.setData('text/plain', dragged.dataset.id);
+        });
+
+        container.addEventListener('dragover', (e) => {
+            if (!dragged) return;
+            e.preventDefault();
+            const target = e.target.closest('.post-card');
+            if (!target || target === dragged) return;
+            // Cards flow left to right, so the pointer's side of the card decides
+            const rect = target.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            container.insertBefore(dragged, after ? target.nextSibling : target);
+        });
+
+        container.addEventListener('drop', (e) => {
+            if (dragged) e.preventDefault();
+        });
+
+        container.addEventListener('dragend', () => {
+            if (!dragged) return;
+            dragged.classList.remove('dragging');
+            dragged = null;
+            this.projectsOrder = [...container.querySelectorAll('.post-card')].map(card => card.dataset.id);
+        });
+    }
+
+    async saveProjectsOrder() {
+        const btn = document.getElementById('save-projects-order-btn');
+        btn.disabled = true;
+
+        try {
+            await this.githubAPI.reorderProjects(this.projectsOrder);
+            this.showToast('Project order saved', 'success');
+            await this.loadProjects();
+        } catch (error) {
+            this.showToast('Failed to save project order: ' + error.message, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
     filterProjects(query) {
         const filtered = this.projects.filter(project => 
             project.title.toLowerCase().includes(query.toLowerCase()) ||
@@ -609,8 +1847,12 @@ class AdminDashboard {
         this.renderProjects(filtered);
     }
 
-    openProjectModal(project = null, index = null) {
-        this.currentEditProject = project ? { ...project, index } : null;
+    /**
+     * @param {string} [caseStudy] - Text for the case study field instead of the project's page
+     */
+    openProjectModal(project = null, caseStudy = undefined) {
+        this.currentEditProject = project;
+        this.currentEditProjectsSha = this.projectsSha;
         this.pendingProjectImageUpload = null;
         const modal = document.getElementById('project-modal');
         const title = document.getElementById('project-modal-title');
@@ -622,11 +1864,19 @@ class AdminDashboard {
         if (project) {
             document.getElementById('project-title').value = project.title;
             document.getElementById('project-description').value = project.description || '';
+            document.getElementById('project-status').value = project.status;
+            document.getElementById('project-role').value = project.role;
+            document.getElementById('project-start-date').value = project.startDate.slice(0, 7);
+            document.getElementById('project-end-date').value = project.endDate.slice(0, 7);
             document.getElementById('project-tech').value = project.tech.join(', ');
+            document.getElementById('project-highlights').value = project.highlights.join('\n');
             document.getElementById('project-github').value = project.github || '';
             document.getElementById('project-demo').value = project.demo || '';
+            document.getElementById('project-links').value = project.links.map(link => `${link.label} | ${link.url}`).join('\n');
             document.getElementById('project-image-path').value = project.image || '';
-            document.getElementById('project-index').value = index;
+            document.getElementById('project-featured').checked = project.featured;
+            document.getElementById('project-archived').checked = project.archived;
+            document.getElementById('project-id').value = project.id;
 
             // Show image preview
             if (project.image) {
@@ -642,36 +1892,90 @@ class AdminDashboard {
             document.getElementById('remove-project-image-btn').style.display = 'none';
         }
 
+        this.projectGallery = project ? [...project.gallery] : [];
+        this.renderProjectGallery();
+        this.loadProjectCaseStudy(project, caseStudy);
+
         modal.classList.add('active');
     }
 
-    editProject(index) {
-        const project = this.projects[index];
+    /**
+     * Fill the case study from the project's page. Until it has loaded, saving
+     * leaves the page body untouched
+     */
+    async loadProjectCaseStudy(project, caseStudy = undefined) {
+        const textarea = document.getElementById('project-case-study');
+        textarea.value = caseStudy ?? '';
+        this.projectCaseStudyLoaded = !project || caseStudy !== undefined;
+        if (this.projectCaseStudyLoaded) {
+            textarea.disabled = false;
+            return;
+        }
+
+        textarea.disabled = true;
+        textarea.placeholder = 'Loading case study...';
+        try {
+            const caseStudy = await this.githubAPI.getProjectCaseStudy(project.id);
+            if (this.currentEditProject !== project) return;
+            textarea.value = caseStudy;
+            this.projectCaseStudyLoaded = true;
+            textarea.disabled = false;
+        } catch (error) {
+            this.showToast('Failed to load case study: ' + error.message, 'error');
+        } finally {
+            textarea.placeholder = 'The story of the project: the problem, what you built and what you learned';
+        }
+    }
+
+    renderProjectGallery() {
+        const container = document.getElementById('project-gallery');
+        container.innerHTML = this.projectGallery.map((path, index) => `
+            <div class="project-gallery-item">
+                <img src="${path.startsWith('/') ? '..' + encodeURI(path) : this.escapeHtml(path)}" alt="Gallery image ${index + 1}">
+                <button type="button" class="project-gallery-remove" onclick="admin.removeGalleryImage(${index})" title="Remove">&times;</button>
+            </div>
+        `).join('');
+    }
+
+    removeGalleryImage(index) {
+        this.projectGallery.splice(index, 1);
+        this.renderProjectGallery();
+    }
+
+    /**
+     * "Label | URL" lines from the links field
+     */
+    parseProjectLinks(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line)
+            .map(line => {
+                const separator = line.lastIndexOf('|');
+                return separator === -1
+                    ? { label: '', url: line }
+                    : { label: line.slice(0, separator).trim(), url: line.slice(separator + 1).trim() };
+            });
+    }
+
+    editProject(id) {
+        const project = this.projects.find(p => p.id === id);
         if (project) {
-            this.openProjectModal(project, index);
+            this.openProjectModal(project);
         }
     }
 
-    handleProjectImageSelect(e) {
+    async handleProjectImageSelect(e) {
         const file = e.target.files[0];
         if (!file) return;
 
-        // Validate file type
-        if (!file.type.startsWith('image/')) {
-            this.showToast('Please select an image file', 'error');
-            e.target.value = '';
-            return;
-        }
-
-        // Validate file size (max 5MB)
-        if (file.size > 5 * 1024 * 1024) {
-            this.showToast('Image size must be less than 5MB', 'error');
+        const image = await this.processImage(file);
+        if (!image) {
             e.target.value = '';
             return;
         }
 
-        // Store file for later upload
-        this.pendingProjectImageUpload = file;
+        // Store processed image for later upload
+        this.pendingProjectImageUpload = image;
 
         // Show preview
         const reader = new FileReader();
@@ -680,9 +1984,9 @@ class AdminDashboard {
             preview.innerHTML = `<img src="${event.target.result}" alt="Project image preview">`;
             document.getElementById('remove-project-image-btn').style.display = 'block';
         };
-        reader.readAsDataURL(file);
+        reader.readAsDataURL(image.file);
         
-        this.showToast('Image selected. It will be uploaded when you save the project.', 'info');
+        this.showToast(`Image ready (${this.formatBytes(image.file.size)}). It will be uploaded when you save the project.`, 'info');
     }
 
     removeProjectImage() {
@@ -697,63 +2001,92 @@ class AdminDashboard {
         const project = {
             title: document.getElementById('project-title').value.trim(),
             description: document.getElementById('project-description').value.trim(),
+            status: document.getElementById('project-status').value,
+            role: document.getElementById('project-role').value.trim(),
+            startDate: document.getElementById('project-start-date').value,
+            endDate: document.getElementById('project-end-date').value,
             tech: document.getElementById('project-tech').value.split(',').map(t => t.trim()).filter(t => t),
+            highlights: document.getElementById('project-highlights').value.split('\n').map(h => h.trim()).filter(h => h),
             github: document.getElementById('project-github').value.trim(),
             demo: document.getElementById('project-demo').value.trim(),
-            image: document.getElementById('project-image-path').value
+            links: this.parseProjectLinks(document.getElementById('project-links').value),
+            image: document.getElementById('project-image-path').value,
+            gallery: [...this.projectGallery],
+            featured: document.getElementById('project-featured').checked,
+            archived: document.getElementById('project-archived').checked
         };
+        const caseStudy = this.projectCaseStudyLoaded ? document.getElementById('project-case-study').value : undefined;
 
         if (!project.title || !project.description) {
             this.showToast('Please fill in all required fields', 'error');
             return;
         }
+        if (project.startDate && project.endDate && project.endDate < project.startDate) {
+            this.showToast('The end date is before the start date', 'error');
+            return;
+        }
 
         const saveBtn = document.getElementById('save-project-btn');
         saveBtn.disabled = true;
         saveBtn.innerHTML = '<span>Saving...</span>';
 
+        // Image and project land in the same commit
+        const transaction = this.githubAPI.beginTransaction();
+
         try {
-            // Upload image if pending
+            // Stage image if pending
             if (this.pendingProjectImageUpload) {
-                this.showToast('Uploading image...', 'info');
-                const result = await this.githubAPI.uploadPostImage(this.pendingProjectImageUpload);
+                const result = await this.githubAPI.uploadImageSet(this.pendingProjectImageUpload, transaction);
                 project.image = result.path;
-                this.pendingProjectImageUpload = null;
             }
 
-            const index = document.getElementById('project-index').value;
-            
-            if (this.currentEditProject && index !== '') {
-                await this.githubAPI.updateProject(parseInt(index), project);
+            const id = document.getElementById('project-id').value;
+            const options = { expectedSha: this.currentEditProjectsSha, transaction };
+
+            if (this.currentEditProject && id) {
+                await this.githubAPI.updateProject(id, project, caseStudy, options);
+                await transaction.commit(`Update project: ${project.title}`);
                 this.showToast('Project updated successfully', 'success');
             } else {
-                await this.githubAPI.createProject(project);
+                await this.githubAPI.createProject(project, caseStudy, options);
+                await transaction.commit(`Create project: ${project.title}`);
                 this.showToast('Project created successfully', 'success');
             }
+            this.pendingProjectImageUpload = null;
 
             this.closeAllModals();
             await this.loadProjects();
             this.updateDashboardStats();
 
         } catch (error) {
-            this.showToast('Failed to save project: ' + error.message, 'error');
+            this.showToast('Failed to save project: ' + this.projectsErrorMessage(error), 'error');
         } finally {
             saveBtn.disabled = false;
             saveBtn.innerHTML = '<span>Save Project</span>';
         }
     }
 
-    deleteProjectConfirm(index) {
-        const project = this.projects[index];
+    /**
+     * A stale project list (see projectsSha) needs a reload before trying again
+     */
+    projectsErrorMessage(error) {
+        return error instanceof GitHubConflictError
+            ? 'the project list was changed elsewhere since it was loaded. Reload the projects and try again.'
+            : error.message;
+    }
+
+    deleteProjectConfirm(id) {
+        const project = this.projects.find(p => p.id === id);
+        if (!project) return;
         document.getElementById('delete-message').textContent = `Are you sure you want to delete "${project.title}"?`;
         this.deleteCallback = async () => {
             try {
-                await this.githubAPI.deleteProject(index);
+                await this.githubAPI.deleteProject(id, { expectedSha: this.projectsSha });
                 this.showToast('Project deleted successfully', 'success');
                 await this.loadProjects();
                 this.updateDashboardStats();
             } catch (error) {
-                this.showToast('Failed to delete project: ' + error.message, 'error');
+                this.showToast('Failed to delete project: ' + this.projectsErrorMessage(error), 'error');
             }
         };
         document.getElementById('delete-modal').classList.add('active');
@@ -787,13 +2120,13 @@ class AdminDashboard {
                     <div class="category-count">${category.count} post${category.count !== 1 ? 's' : ''}</div>
                 </div>
                 <div class="category-actions">
-                    <button class="icon-btn" onclick="admin.editCategory('${this.escapeHtml(category.name)}')" title="Edit">
+                    <button class="icon-btn" ${this.writeAttrs()} onclick="admin.editCategory('${this.escapeHtml(category.name)}')" title="Edit">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                         </svg>
                     </button>
-                    <button class="icon-btn delete" onclick="admin.deleteCategoryConfirm('${this.escapeHtml(category.name)}')" title="Delete">
+                    <button class="icon-btn delete" ${this.writeAttrs()} onclick="admin.deleteCategoryConfirm('${this.escapeHtml(category.name)}')" title="Delete">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="3 6 5 6 21 6"/>
                             <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
@@ -907,13 +2240,13 @@ class AdminDashboard {
                     <div class="tag-count">${tag.count} post${tag.count !== 1 ? 's' : ''}</div>
                 </div>
                 <div class="tag-actions">
-                    <button class="icon-btn" onclick="admin.editTag('${this.escapeHtml(tag.name)}')" title="Edit">
+                    <button class="icon-btn" ${this.writeAttrs()} onclick="admin.editTag('${this.escapeHtml(tag.name)}')" title="Edit">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                             <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                         </svg>
                     </button>
-                    <button class="icon-btn delete" onclick="admin.deleteTagConfirm('${this.escapeHtml(tag.name)}')" title="Delete">
+                    <button class="icon-btn delete" ${this.writeAttrs()} onclick="admin.deleteTagConfirm('${this.escapeHtml(tag.name)}')" title="Delete">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <polyline points="3 6 5 6 21 6"/>
                             <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
@@ -997,6 +2330,338 @@ class AdminDashboard {
         document.getElementById('delete-modal').classList.add('active');
     }
 
+    // ============================================
+    // Media Library
+    // ============================================
+
+    async loadMedia() {
+        const container = document.getElementById('media-list');
+        container.innerHTML = '<div class="loading">Loading images...</div>';
+
+        try {
+            await this.loadImages();
+            this.filterMedia(document.getElementById('media-search').value);
+            this.renderDuplicateImages();
+        } catch (error) {
+            container.innerHTML = `<div class="empty-state"><p>Error loading images: ${this.escapeHtml(error.message)}</p></div>`;
+            this.showToast('Failed to load images', 'error');
+        }
+    }
+
+    /**
+     * Load images, leaving out responsive variants, which belong to their original
+     */
+    async loadImages() {
+        const [images, manifest] = await Promise.all([
+            this.githubAPI.getImages(),
+            this.githubAPI.getImageManifest()
+        ]);
+        const variants = new Set(Object.values(manifest).flatMap(entry => entry.variants.map(v => v.path)));
+
+        this.imageManifest = manifest;
+        this.images = images.filter(image => !variants.has(`/${image.path}`));
+    }
+
+    getImageUsage() {
+        return this.githubAPI.getImageUsage(this.images || [], [...this.posts, ...this.drafts], this.projects);
+    }
+
+    renderMedia(images = this.images) {
+        const container = document.getElementById('media-list');
+        const usage = this.getImageUsage();
+
+        const totalSize = this.images.reduce((sum, image) => sum + (image.size || 0), 0);
+        const unused = this.images.filter(image => usage.get(image.path).length === 0).length;
+        document.getElementById('media-summary').textContent =
+            `${this.images.length} image${this.images.length !== 1 ? 's' : ''} · ${this.formatBytes(totalSize)} · ${unused} unused`;
+
+        if (images.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <svg width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2" ry="2"/>
+                        <circle cx="8.5" cy="8.5" r="1.5"/>
+                        <polyline points="21 15 16 10 5 21"/>
+                    </svg>
+                    <h3>No images found</h3>
+                    <p>Upload images to use them in posts and projects</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = images.map(image => {
+            const index = this.images.indexOf(image);
+            const references = usage.get(image.path);
+            const usedBy = references.map(ref => `${ref.type}: ${ref.title}`).join('\n');
+
+            return `
+                <div class="media-card">
+                    <div class="media-thumb">
+                        <img src="../${encodeURI(image.path)}" alt="" loading="lazy">
+                    </div>
+                    <div class="media-info">
+                        <div class="media-name" title="${this.escapeHtml(image.name)}">${this.escapeHtml(image.name)}</div>
+                        <div class="media-meta">
+                            <span>${this.formatBytes(image.size || 0)}${this.imageManifest[`/${image.path}`]
+                                ? ` · ${this.imageManifest[`/${image.path}`].variants.length + 1} sizes`
+                                : ''}</span>
+                            ${references.length
+                                ? `<span class="media-usage" title="${this.escapeHtml(usedBy)}">Used by ${references.length}</span>`
+                                : '<span class="media-usage unused">Unused</span>'}
+                        </div>
+                    </div>
+                    <div class="media-actions">
+                        <button class="icon-btn" onclick="admin.copyImageMarkdown(${index})" title="Copy Markdown">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
+                                <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/>
+                            </svg>
+                        </button>
+                        <button class="icon-btn delete" ${this.writeAttrs()} onclick="admin.deleteImageConfirm(${index})" title="Delete">
+                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                <polyline points="3 6 5 6 21 6"/>
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/>
+                            </svg>
+                        </button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * List identical images with a merge action for each group
+     */
+    renderDuplicateImages() {
+        const container = document.getElementById('media-duplicates');
+        const usage = this.getImageUsage();
+        this.duplicateImages = this.githubAPI.findDuplicateImages(this.images);
+
+        if (this.duplicateImages.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="posts-section-header">
+                <h3>Duplicate Images</h3>
+                <small>Identical files; merging keeps one and points posts and projects at it</small>
+            </div>
+            ${this.duplicateImages.map((group, index) => {
+                // Keep the copy most things already use
+                const keep = group.reduce((best, image) =>
+                    usage.get(image.path).length > usage.get(best.path).length ? image : best);
+                return `
+                    <div class="media-duplicate-group">
+                        <img src="../${encodeURI(group[0].path)}" alt="" loading="lazy">
+                        <div class="media-duplicate-info">
+                            <div>${group.length} copies · ${this.formatBytes(group[0].size || 0)} each</div>
+                            <select id="duplicate-keep-${index}">
+                                ${group.map(image => `
+                                    <option value="${this.escapeHtml(image.path)}"${image === keep ? ' selected' : ''}>
+                                        Keep ${this.escapeHtml(image.name)} (used by ${usage.get(image.path).length})
+                                    </option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <button class="btn btn-secondary btn-sm" ${this.writeAttrs()} onclick="admin.mergeDuplicatesConfirm(${index})">Merge</button>
+                    </div>
+                `;
+            }).join('')}
+        `;
+    }
+
+    mergeDuplicatesConfirm(index) {
+        const group = this.duplicateImages[index];
+        const keepPath = document.getElementById(`duplicate-keep-${index}`).value;
+        const keep = group.find(image => image.path === keepPath);
+        const duplicates = group.filter(image => image !== keep);
+
+        document.getElementById('delete-message').textContent =
+            `Delete ${duplicates.map(image => image.name).join(', ')} and point posts and projects using them at ${keep.name}?`;
+        this.deleteCallback = async () => {
+            try {
+                const rewritten = await this.githubAPI.mergeDuplicateImages(keep, duplicates);
+                this.showToast(`Merged into ${keep.name}, updated ${rewritten} file(s)`, 'success');
+                await Promise.all([this.loadPosts(), this.loadProjects()]);
+                await this.loadMedia();
+            } catch (error) {
+                this.showToast('Failed to merge images: ' + error.message, 'error');
+            }
+        };
+        document.getElementById('delete-modal').classList.add('active');
+    }
+
+    filterMedia(query) {
+        if (!this.images) return;
+        const filtered = this.images.filter(image =>
+            image.name.toLowerCase().includes(query.toLowerCase())
+        );
+        this.renderMedia(filtered);
+    }
+
+    async copyImageMarkdown(index) {
+        const image = this.images[index];
+        const markdown = `![${image.name.replace(/\.[^/.]+$/, '')}](/${image.path})`;
+
+        try {
+            await navigator.clipboard.writeText(markdown);
+            this.showToast('Markdown link copied', 'success');
+        } catch (error) {
+            this.showToast(`Could not copy, use: ${markdown}`, 'warning');
+        }
+    }
+
+    /**
+     * Upload several images in one commit
+     */
+    async uploadMediaFiles(e) {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        const label = document.getElementById('media-upload-label');
+        label.textContent = 'Processing...';
+
+        try {
+            // processImage reports the files it skips
+            const images = [];
+            for (const file of files) {
+                const image = await this.processImage(file);
+                if (image) images.push(image);
+            }
+            if (images.length === 0) return;
+
+            label.textContent = 'Uploading...';
+            const transaction = this.githubAPI.beginTransaction();
+            let reused = 0;
+            for (const image of images) {
+                const result = await this.githubAPI.uploadImageSet(image, transaction);
+                if (result.reused) reused++;
+            }
+            const uploaded = images.length - reused;
+            await transaction.commit(`Upload ${uploaded} image${uploaded !== 1 ? 's' : ''}`);
+
+            this.showToast(
+                `Uploaded ${uploaded} image(s)` + (reused ? `, ${reused} already in the library` : ''),
+                'success'
+            );
+            await this.loadMedia();
+        } catch (error) {
+            this.showToast('Failed to upload images: ' + error.message, 'error');
+        } finally {
+            label.textContent = 'Upload Images';
+        }
+    }
+
+    /**
+     * Delete an image, refusing while a post or project still uses it
+     */
+    deleteImageConfirm(index) {
+        const image = this.images[index];
+        const references = this.getImageUsage().get(image.path);
+
+        if (references.length > 0) {
+            const titles = references.map(ref => `"${ref.title}"`).join(', ');
+            this.showToast(`${image.name} is used by ${titles}. Remove it there first.`, 'error');
+            return;
+        }
+
+        document.getElementById('delete-message').textContent =
+            `Are you sure you want to delete "${image.name}"? No post or project uses it, but pages outside the blog may.`;
+        this.deleteCallback = async () => {
+            try {
+                await this.githubAPI.deleteImage(image.path, image.sha);
+                this.showToast('Image deleted successfully', 'success');
+                await this.loadMedia();
+            } catch (error) {
+                this.showToast('Failed to delete image: ' + error.message, 'error');
+            }
+        };
+        document.getElementById('delete-modal').classList.add('active');
+    }
+
+    /**
+     * Pick an existing image for the post thumbnail or project image
+     * @param {string} target - 'post' or 'project'
+     */
+    async openMediaPicker(target) {
+        this.mediaPickerTarget = target;
+        document.getElementById('media-picker-search').value = '';
+        document.getElementById('media-picker-list').innerHTML = '<div class="loading">Loading images...</div>';
+        document.getElementById('media-picker-modal').classList.add('active');
+
+        if (!this.images) {
+            try {
+                await this.loadImages();
+            } catch (error) {
+                this.showToast('Failed to load images: ' + error.message, 'error');
+                this.closeMediaPicker();
+                return;
+            }
+        }
+        this.renderMediaPicker();
+    }
+
+    renderMediaPicker(query = '') {
+        const container = document.getElementById('media-picker-list');
+        const images = (this.images || []).filter(image =>
+            image.name.toLowerCase().includes(query.toLowerCase())
+        );
+
+        if (images.length === 0) {
+            container.innerHTML = '<div class="empty-state"><p>No images found</p></div>';
+            return;
+        }
+
+        container.innerHTML = images.map(image => `
+            <div class="media-card" onclick="admin.pickImage(${this.images.indexOf(image)})" title="${this.escapeHtml(image.name)}">
+                <div class="media-thumb">
+                    <img src="../${encodeURI(image.path)}" alt="" loading="lazy">
+                </div>
+                <div class="media-info">
+                    <div class="media-name">${this.escapeHtml(image.name)}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    pickImage(index) {
+        const path = `/${this.images[index].path}`;
+        if (this.mediaPickerTarget === 'project-gallery') {
+            if (!this.projectGallery.includes(path)) {
+                this.projectGallery.push(path);
+                this.renderProjectGallery();
+            }
+            this.closeMediaPicker();
+            return;
+        }
+
+        const fields = this.mediaPickerTarget === 'project'
+            ? { file: 'project-image', path: 'project-image-path', preview: 'project-image-preview', remove: 'remove-project-image-btn' }
+            : { file: 'post-thumbnail', path: 'post-image-path', preview: 'thumbnail-preview', remove: 'remove-thumbnail-btn' };
+
+        // A library image replaces any file waiting to be uploaded
+        if (this.mediaPickerTarget === 'project') {
+            this.pendingProjectImageUpload = null;
+        } else {
+            this.pendingImageUpload = null;
+        }
+
+        document.getElementById(fields.file).value = '';
+        document.getElementById(fields.path).value = path;
+        document.getElementById(fields.preview).innerHTML = `<img src="..${encodeURI(path)}" alt="Selected image">`;
+        document.getElementById(fields.remove).style.display = 'block';
+
+        this.closeMediaPicker();
+    }
+
+    closeMediaPicker() {
+        document.getElementById('media-picker-modal').classList.remove('active');
+        this.mediaPickerTarget = null;
+    }
+
     // ============================================
     // Modals
     // ============================================
@@ -1011,6 +2676,9 @@ class AdminDashboard {
         this.currentEditTag = null;
         this.pendingImageUpload = null;
         this.pendingProjectImageUpload = null;
+        this.pendingConflict = null;
+        this.mediaPickerTarget = null;
+        this.clearInlineImages();
     }
 
     confirmDelete() {
@@ -1052,10 +2720,17 @@ class AdminDashboard {
         }, 5000);
     }
 
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
     escapeHtml(text) {
         const div = document.createElement('div');
         div.textContent = text;
-        return div.innerHTML;
+        // Quotes too, so the result is safe inside double-quoted attributes
+        return div.innerHTML.replace(/"/g, '&quot;');
     }
 
     formatDate(dateString) {
@@ -2,12 +2,43 @@
  * Crypto Utilities for HarryTien Admin Dashboard
  * Encrypts and decrypts sensitive data stored in localStorage
  * Uses AES-GCM encryption with Web Crypto API
+ *
+ * Credentials are kept in a versioned vault record, encrypted with one of:
+ * - a key stretched with PBKDF2 from a master passphrase the owner chooses
+ *   (the record is in localStorage);
+ * - a random non-extractable key kept next to the record in IndexedDB, the
+ *   default without a passphrase;
+ * - where IndexedDB is unavailable, a key stretched from the browser
+ *   fingerprint, which anyone with the same kind of browser can reproduce
+ *   and a browser update can change.
  */
 
+/**
+ * Error raised when the vault needs a passphrase that is missing or wrong
+ */
+class CredentialsLockedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CredentialsLockedError';
+    }
+}
+
 class CryptoUtils {
     constructor() {
         // Use a combination of browser fingerprint as encryption key base
         this.keyBase = this.generateKeyBase();
+        this.storageKey = 'harrytien_admin_vault';
+        this.vaultVersion = 2;
+        // Entries written by earlier versions, migrated on first read
+        this.legacyKeys = {
+            encrypted: 'harrytien_admin_credentials_encrypted',
+            plaintext: 'harrytien_admin_credentials'
+        };
+        // PBKDF2 rounds; a passphrase gets the OWASP recommendation for SHA-256
+        this.iterations = { device: 100000, passphrase: 600000 };
+        // Random keys are kept with their vault in IndexedDB, where a
+        // non-extractable CryptoKey survives as is but cannot be read out
+        this.keyStore = { database: 'harrytien_admin', store: 'credentials', entry: 'vault' };
     }
 
     /**
@@ -65,12 +96,12 @@ class CryptoUtils {
     }
 
     /**
-     * Derive encryption key from key base using PBKDF2
+     * Derive encryption key from a secret (the key base by default) using PBKDF2
      */
-    async deriveKey(salt) {
+    async deriveKey(salt, secret = this.keyBase, iterations = 100000) {
         const keyMaterial = await crypto.subtle.importKey(
             'raw',
-            this.stringToBuffer(this.keyBase),
+            this.stringToBuffer(secret),
             'PBKDF2',
             false,
             ['deriveKey']
@@ -80,7 +111,7 @@ class CryptoUtils {
             {
                 name: 'PBKDF2',
                 salt: salt,
-                iterations: 100000,
+                iterations: iterations,
                 hash: 'SHA-256'
             },
             keyMaterial,
@@ -91,138 +122,343 @@ class CryptoUtils {
     }
 
     /**
-     * Encrypt data
-     * @param {string} plaintext - Data to encrypt
-     * @returns {string} - Encrypted data as base64 string
+     * Decrypt a version 1 entry: base64 of salt (16 bytes) + iv (12 bytes) +
+     * ciphertext, keyed by the browser fingerprint. Only read to migrate it.
+     * @param {string} encryptedBase64 - Encrypted data as base64 string
+     * @returns {string} - Decrypted plaintext
      */
-    async encrypt(plaintext) {
+    async decryptLegacy(encryptedBase64) {
         try {
-            // Generate random salt and IV
-            const salt = crypto.getRandomValues(new Uint8Array(16));
-            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const combined = new Uint8Array(this.base64ToBuffer(encryptedBase64));
+            const salt = combined.slice(0, 16);
+            const iv = combined.slice(16, 28);
+            const encrypted = combined.slice(28);
 
-            // Derive key
             const key = await this.deriveKey(salt);
+            const decrypted = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: iv }, key, encrypted);
+
+            return this.bufferToString(decrypted);
+        } catch (error) {
+            throw new Error('Failed to decrypt data - credentials may be corrupted or from different browser');
+        }
+    }
+
+    // ============================================
+    // Vault (storage format version 2)
+    // ============================================
+
+    /**
+     * Encrypt credentials into a vault record. The key is stretched from the
+     * passphrase, or from the browser fingerprint without one, with a fresh
+     * random salt; the KDF parameters are kept in the record so vaults written
+     * with other settings still open.
+     */
+    async sealVault(credentials, passphrase = null) {
+        const mode = passphrase ? 'passphrase' : 'device';
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iterations = this.iterations[mode];
 
-            // Encrypt
-            const encrypted = await crypto.subtle.encrypt(
-                { name: 'AES-GCM', iv: iv },
-                key,
-                this.stringToBuffer(plaintext)
+        const key = await this.deriveKey(salt, passphrase || this.keyBase, iterations);
+
+        return {
+            version: this.vaultVersion,
+            mode,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.bufferToBase64(salt) },
+            ...await this.encryptWithKey(credentials, key)
+        };
+    }
+
+    /**
+     * Encrypt credentials with a new random AES-GCM key that cannot be exported,
+     * for keeping alongside the record in IndexedDB
+     * @returns {{key: CryptoKey, vault: object}}
+     */
+    async sealWithNewKey(credentials) {
+        const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+        return {
+            key,
+            vault: {
+                version: this.vaultVersion,
+                mode: 'stored-key',
+                createdAt: new Date().toISOString(),
+                ...await this.encryptWithKey(credentials, key)
+            }
+        };
+    }
+
+    async encryptWithKey(credentials, key) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const encrypted = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv },
+            key,
+            this.stringToBuffer(JSON.stringify(credentials))
+        );
+
+        return {
+            cipher: { name: 'AES-GCM', iv: this.bufferToBase64(iv) },
+            ciphertext: this.bufferToBase64(encrypted)
+        };
+    }
+
+    /**
+     * Decrypt a vault record as returned by readVault()
+     * @throws {Error} when the key is wrong or the record was tampered with
+     */
+    async openVault(vault, passphrase = null) {
+        const key = vault.mode === 'stored-key'
+            ? vault.key
+            : await this.deriveKey(
+                this.base64ToBuffer(vault.kdf.salt),
+                vault.mode === 'passphrase' ? passphrase : this.keyBase,
+                vault.kdf.iterations
             );
+        const decrypted = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: this.base64ToBuffer(vault.cipher.iv) },
+            key,
+            this.base64ToBuffer(vault.ciphertext)
+        );
+        return JSON.parse(this.bufferToString(decrypted));
+    }
 
-            // Combine salt + iv + encrypted data
-            const combined = new Uint8Array(salt.length + iv.length + encrypted.byteLength);
-            combined.set(salt, 0);
-            combined.set(iv, salt.length);
-            combined.set(new Uint8Array(encrypted), salt.length + iv.length);
+    /**
+     * The stored vault record, after migrating older entries; null if none.
+     * Records kept in IndexedDB carry their CryptoKey as key.
+     */
+    async readVault() {
+        await this.migrateLegacyCredentials();
+
+        const local = this.readLocalVault();
+        if (local) return local;
 
-            // Return as base64
-            return this.bufferToBase64(combined.buffer);
+        const entry = await this.readKeyStoreEntry();
+        return entry ? { ...entry.vault, key: entry.key } : null;
+    }
+
+    /**
+     * The passphrase or fingerprint vault in localStorage
+     */
+    readLocalVault() {
+        const stored = localStorage.getItem(this.storageKey);
+        if (!stored) return null;
+
+        try {
+            const vault = JSON.parse(stored);
+            if (vault.version !== this.vaultVersion) throw new Error(`Unsupported vault version ${vault.version}`);
+            return vault;
         } catch (error) {
-            console.error('Encryption error:', error);
-            throw new Error('Failed to encrypt data');
+            console.warn('Removing unreadable credentials vault:', error.message);
+            localStorage.removeItem(this.storageKey);
+            return null;
         }
     }
 
     /**
-     * Decrypt data
-     * @param {string} encryptedBase64 - Encrypted data as base64 string
-     * @returns {string} - Decrypted plaintext
+     * Move credentials saved before the vault format (fingerprint-encrypted,
+     * or plaintext before that) into a vault
      */
-    async decrypt(encryptedBase64) {
-        try {
-            // Decode base64
-            const combined = new Uint8Array(this.base64ToBuffer(encryptedBase64));
+    async migrateLegacyCredentials() {
+        const encrypted = localStorage.getItem(this.legacyKeys.encrypted);
+        const plaintext = localStorage.getItem(this.legacyKeys.plaintext);
+        if (encrypted === null && plaintext === null) return;
 
-            // Extract salt, iv, and encrypted data
-            const salt = combined.slice(0, 16);
-            const iv = combined.slice(16, 28);
-            const encrypted = combined.slice(28);
+        if (localStorage.getItem(this.storageKey) === null && !await this.readKeyStoreEntry()) {
+            try {
+                const credentials = encrypted !== null
+                    ? JSON.parse(await this.decryptLegacy(encrypted))
+                    : JSON.parse(plaintext);
+                await this.storeCredentials(credentials);
+            } catch (error) {
+                console.warn('Failed to migrate stored credentials:', error.message);
+            }
+        }
 
-            // Derive key
-            const key = await this.deriveKey(salt);
+        localStorage.removeItem(this.legacyKeys.encrypted);
+        localStorage.removeItem(this.legacyKeys.plaintext);
+    }
 
-            // Decrypt
-            const decrypted = await crypto.subtle.decrypt(
-                { name: 'AES-GCM', iv: iv },
-                key,
-                encrypted
-            );
+    // ============================================
+    // IndexedDB key store
+    // ============================================
 
-            return this.bufferToString(decrypted);
+    isKeyStoreAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Run callback(store) in a transaction on the key store and resolve with
+     * the result of the request it returns once the transaction completes
+     */
+    withKeyStore(mode, callback) {
+        return new Promise((resolve, reject) => {
+            const open = indexedDB.open(this.keyStore.database, 1);
+            open.onupgradeneeded = () => open.result.createObjectStore(this.keyStore.store);
+            open.onerror = () => reject(open.error);
+            open.onsuccess = () => {
+                const db = open.result;
+                const transaction = db.transaction(this.keyStore.store, mode);
+                const request = callback(transaction.objectStore(this.keyStore.store));
+                transaction.oncomplete = () => {
+                    db.close();
+                    resolve(request.result);
+                };
+                transaction.onerror = transaction.onabort = () => {
+                    db.close();
+                    reject(transaction.error);
+                };
+            };
+        });
+    }
+
+    /**
+     * The { key, vault } entry kept in IndexedDB, or null
+     */
+    async readKeyStoreEntry() {
+        if (!this.isKeyStoreAvailable()) return null;
+
+        try {
+            return await this.withKeyStore('readonly', store => store.get(this.keyStore.entry)) || null;
         } catch (error) {
-            console.error('Decryption error:', error);
-            throw new Error('Failed to decrypt data - credentials may be corrupted or from different browser');
+            console.warn('IndexedDB key store unavailable:', error?.message);
+            return null;
+        }
+    }
+
+    async writeKeyStoreEntry(entry) {
+        await this.withKeyStore('readwrite', store => store.put(entry, this.keyStore.entry));
+    }
+
+    async deleteKeyStoreEntry() {
+        if (!this.isKeyStoreAvailable()) return;
+
+        try {
+            await this.withKeyStore('readwrite', store => store.delete(this.keyStore.entry));
+        } catch (error) {
+            console.warn('Failed to clear the IndexedDB key store:', error?.message);
         }
     }
 
+    // ============================================
+    // Credentials
+    // ============================================
+
     /**
      * Securely store credentials
      * @param {object} credentials - Object containing credentials
+     * @param {object} options
+     *   passphrase: encrypt with a key stretched from it and keep the vault in
+     *   localStorage; without one a random key is kept with the vault in
+     *   IndexedDB, or where IndexedDB is unavailable the key comes from the
+     *   browser fingerprint
      */
-    async storeCredentials(credentials) {
-        const json = JSON.stringify(credentials);
-        const encrypted = await this.encrypt(json);
-        localStorage.setItem('harrytien_admin_credentials_encrypted', encrypted);
-        // Remove old unencrypted credentials if exists
-        localStorage.removeItem('harrytien_admin_credentials');
+    async storeCredentials(credentials, { passphrase = null } = {}) {
+        let stored = false;
+
+        if (!passphrase && this.isKeyStoreAvailable()) {
+            try {
+                await this.writeKeyStoreEntry(await this.sealWithNewKey(credentials));
+                localStorage.removeItem(this.storageKey);
+                stored = true;
+            } catch (error) {
+                console.warn('Falling back to a fingerprint-derived key:', error?.message);
+            }
+        }
+
+        if (!stored) {
+            const vault = await this.sealVault(credentials, passphrase);
+            localStorage.setItem(this.storageKey, JSON.stringify(vault));
+            await this.deleteKeyStoreEntry();
+        }
+
+        localStorage.removeItem(this.legacyKeys.encrypted);
+        localStorage.removeItem(this.legacyKeys.plaintext);
     }
 
     /**
      * Retrieve stored credentials
+     * @param {string} [passphrase] - Required when the vault is passphrase protected
      * @returns {object|null} - Decrypted credentials or null
+     * @throws {CredentialsLockedError} when the passphrase is missing or wrong
      */
-    async getCredentials() {
-        // Check for encrypted credentials first
-        const encrypted = localStorage.getItem('harrytien_admin_credentials_encrypted');
-        if (encrypted) {
+    async getCredentials(passphrase = null) {
+        const vault = await this.readVault();
+        if (!vault) return null;
+
+        if (vault.mode === 'passphrase') {
+            if (!passphrase) throw new CredentialsLockedError('Saved credentials are locked with a passphrase');
             try {
-                const json = await this.decrypt(encrypted);
-                return JSON.parse(json);
+                return await this.openVault(vault, passphrase);
             } catch (error) {
-                console.warn('Failed to decrypt credentials:', error.message);
-                // Remove corrupted data
-                localStorage.removeItem('harrytien_admin_credentials_encrypted');
-                return null;
+                // AES-GCM cannot tell a wrong key from damaged data, so the vault is kept
+                throw new CredentialsLockedError('Incorrect passphrase');
             }
         }
 
-        // Migrate old unencrypted credentials if exists
-        const oldCredentials = localStorage.getItem('harrytien_admin_credentials');
-        if (oldCredentials) {
-            try {
-                const credentials = JSON.parse(oldCredentials);
-                // Encrypt and store
-                await this.storeCredentials(credentials);
-                // Remove old unencrypted
-                localStorage.removeItem('harrytien_admin_credentials');
-                return credentials;
-            } catch (error) {
-                localStorage.removeItem('harrytien_admin_credentials');
-                return null;
-            }
+        let credentials;
+        try {
+            credentials = await this.openVault(vault);
+        } catch (error) {
+            console.warn('Failed to decrypt credentials - they may be from a different browser:', error.message);
+            // Remove corrupted data
+            await this.clearCredentials();
+            return null;
+        }
+
+        // Fingerprint vaults move to a stored key as soon as the browser has one
+        if (vault.mode === 'device' && this.isKeyStoreAvailable()) {
+            await this.storeCredentials(credentials);
         }
+        return credentials;
+    }
+
+    /**
+     * How the stored credentials are protected: 'passphrase', 'stored-key',
+     * 'device' (fingerprint) or null
+     */
+    async getVaultMode() {
+        const vault = await this.readVault();
+        return vault ? vault.mode : null;
+    }
+
+    /**
+     * Re-encrypt the saved credentials with a new random key, replacing the
+     * old one in IndexedDB
+     * @returns {object} - The new vault record
+     */
+    async rotateKey() {
+        const vault = await this.readVault();
+        if (!vault) throw new Error('No saved credentials to re-encrypt');
+        if (vault.mode === 'passphrase') throw new Error('Credentials protected by a passphrase have no stored key');
+
+        const credentials = await this.openVault(vault);
+        await this.storeCredentials(credentials);
 
-        return null;
+        const rotated = await this.readVault();
+        if (rotated?.mode !== 'stored-key') throw new Error('This browser cannot keep keys in IndexedDB');
+        return rotated;
     }
 
     /**
      * Clear stored credentials
      */
-    clearCredentials() {
-        localStorage.removeItem('harrytien_admin_credentials_encrypted');
-        localStorage.removeItem('harrytien_admin_credentials');
+    async clearCredentials() {
+        localStorage.removeItem(this.storageKey);
+        localStorage.removeItem(this.legacyKeys.encrypted);
+        localStorage.removeItem(this.legacyKeys.plaintext);
+        await this.deleteKeyStoreEntry();
     }
 
     /**
      * Check if credentials are stored
+     * @returns {Promise<boolean>}
      */
-    hasStoredCredentials() {
-        return localStorage.getItem('harrytien_admin_credentials_encrypted') !== null ||
-               localStorage.getItem('harrytien_admin_credentials') !== null;
+    async hasStoredCredentials() {
+        const inLocalStorage = [this.storageKey, this.legacyKeys.encrypted, this.legacyKeys.plaintext]
+            .some(key => localStorage.getItem(key) !== null);
+        return inLocalStorage || !!await this.readKeyStoreEntry();
     }
 }
 
 // Export for use in other modules
+window.CredentialsLockedError = CredentialsLockedError;
 window.CryptoUtils = CryptoUtils;
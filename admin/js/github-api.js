@@ -3,59 +3,289 @@
  * Handles all interactions with GitHub repository via REST API
  */
 
+/**
+ * Error raised for non-2xx GitHub API responses
+ */
+class GitHubAPIError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'GitHubAPIError';
+        this.status = status;
+    }
+}
+
+/**
+ * Error raised when a file changed on GitHub after it was loaded.
+ * remote holds the current version ({ content, sha, path }) or null if it was deleted.
+ */
+class GitHubConflictError extends GitHubAPIError {
+    constructor(message, { status = 409, path = null, remote = null } = {}) {
+        super(message, status);
+        this.name = 'GitHubConflictError';
+        this.path = path;
+        this.remote = remote;
+    }
+}
+
+/**
+ * Error raised when GitHub rejects the token (401): it expired or was revoked
+ */
+class GitHubAuthError extends GitHubAPIError {
+    constructor(message = 'Your GitHub session has expired. Please sign in again.') {
+        super(message, 401);
+        this.name = 'GitHubAuthError';
+    }
+}
+
+/**
+ * Staged set of file writes and deletes that lands as a single commit
+ * (on GitHub through the Git Data API: blobs -> tree -> commit -> ref update)
+ */
+class GitTransaction {
+    constructor(api) {
+        this.api = api;
+        this.changes = new Map();
+    }
+
+    /**
+     * Stage a text file write
+     * @param {object} options - expectedSha: blob sha the file must still have in
+     *   storage, or null when it must not exist yet; left out, the file is not checked
+     */
+    write(path, content, { expectedSha } = {}) {
+        this.changes.set(path, { path, content, encoding: 'utf-8', expectedSha });
+        return this;
+    }
+
+    /**
+     * Stage a binary file write (base64 or data URL)
+     */
+    writeBase64(path, base64Content) {
+        const content = base64Content.replace(/^data:[^;]+;base64,/, '');
+        this.changes.set(path, { path, content, encoding: 'base64' });
+        return this;
+    }
+
+    /**
+     * Stage a file deletion
+     * @param {object} options - expectedSha: blob sha the file must still have in storage
+     */
+    delete(path, { expectedSha } = {}) {
+        this.changes.set(path, { path, deleted: true, expectedSha });
+        return this;
+    }
+
+    /**
+     * Drop a staged change
+     */
+    unstage(path) {
+        this.changes.delete(path);
+        return this;
+    }
+
+    /**
+     * Staged change for path ({ content, encoding, expectedSha } or { deleted }), or null
+     */
+    getStaged(path) {
+        return this.changes.get(path) || null;
+    }
+
+    /**
+     * Check if nothing has been staged
+     */
+    isEmpty() {
+        return this.changes.size === 0;
+    }
+
+    /**
+     * Commit all staged changes at once through the storage backend,
+     * so either the whole change set lands or nothing does
+     */
+    async commit(message) {
+        if (this.isEmpty()) {
+            return null;
+        }
+
+        const commit = await this.api.storage.commitChanges(Array.from(this.changes.values()), message);
+        this.changes.clear();
+        return commit;
+    }
+}
+
 class GitHubAPI {
-    constructor(token, owner = 'harrytien107', repo = 'harrytien107.github.io') {
+    /**
+     * @param {object|null} storage - Storage adapter for file operations (see storage-adapters.js),
+     *                                defaults to the repository on GitHub
+     */
+    constructor(token, owner = 'harrytien107', repo = 'harrytien107.github.io', storage = null) {
         this.token = token;
         this.owner = owner;
         this.repo = repo;
         this.baseUrl = 'https://api.github.com';
         this.branch = 'main';
+        // Every GET is revalidated with its ETag (maxAge 0), so cached files are
+        // never stale but unchanged ones cost no rate limit
+        this.cache = new GitHubResponseCache();
+        // Shared with the public site, which uses it without a token
+        this.client = new GitHubClient({
+            baseUrl: this.baseUrl,
+            cache: this.cache,
+            retries: 3,
+            onRateLimit: (rateLimit) => this.onRateLimit?.(rateLimit)
+        });
+        // Called with the GitHubAuthError when GitHub rejects the token
+        this.onUnauthorized = null;
+        // Called with { limit, remaining, reset } after every response that reports it
+        this.onRateLimit = null;
+        // Files read at the same time when loading posts
+        this.readConcurrency = 4;
+        this.storage = storage || new GitHubStorageAdapter(this);
+        this.frontMatter = new FrontMatter();
+        // Front matter keys edited by the post form; everything else is kept as-is
+        this.postFields = ['title', 'description', 'date', 'readTime', 'image', 'categories', 'tags'];
+        this.scheduleWorkflowPath = '.github/workflows/scheduled-publish.yml';
+        this.scheduleDelayMinutes = 5;
+        this.imagesPath = 'src/assets/images';
+        // Responsive variants of uploaded images, read by _includes/image-srcset.html
+        this.imageManifestPath = '_data/images.json';
+        this.projectsDataPath = '_data/projects.yml';
+        this.projectsDataHeader = '# Projects shown on the home page, in order. Managed from the admin dashboard;\n'
+            + '# comments in this file are not kept when it saves.\n\n';
+        this.projectSchema = new ProjectSchema();
+        // One page per project, holding its case study: _projects/<id>.md
+        this.projectPagesPath = '_projects';
     }
 
     /**
      * Make authenticated request to GitHub API
      */
     async request(endpoint, options = {}) {
-        const url = `${this.baseUrl}${endpoint}`;
-        const headers = {
-            'Authorization': `Bearer ${this.token}`,
-            'Accept': 'application/vnd.github.v3+json',
-            'Content-Type': 'application/json',
-            ...options.headers
-        };
+        return (await this.requestWithHeaders(endpoint, options)).data;
+    }
+
+    /**
+     * Make authenticated request to GitHub API, resolving with { data, headers }
+     */
+    async requestWithHeaders(endpoint, options = {}) {
+        this.client.token = this.token;
+        await this.cache.ready;
 
         try {
-            const response = await fetch(url, {
-                ...options,
-                headers
-            });
+            return await this.client.requestWithHeaders(endpoint, options);
+        } catch (error) {
+            // Missing files are expected (drafts, optional data files); callers handle them
+            if (error.status !== 404) {
+                console.error('GitHub API Error:', error);
+            }
+            if (!(error instanceof GitHubRequestError)) {
+                throw error;
+            }
 
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({}));
-                throw new Error(error.message || `GitHub API error: ${response.status}`);
+            // Stale sha on the Contents API or a non fast-forward ref update
+            if (error.status === 409 ||
+                (error.status === 422 && /does not match|fast forward/i.test(error.message))) {
+                const path = endpoint.includes('/contents/') ? endpoint.split('/contents/')[1].split('?')[0] : null;
+                const conflict = new GitHubConflictError(error.message, { status: error.status, path });
+                await this.attachRemoteVersion(conflict);
+                throw conflict;
             }
 
-            // Handle empty responses
-            const text = await response.text();
-            return text ? JSON.parse(text) : null;
-        } catch (error) {
-            console.error('GitHub API Error:', error);
-            throw error;
+            if (error.status === 401) {
+                throw this.unauthorized();
+            }
+
+            throw new GitHubAPIError(error.message, error.status);
         }
     }
 
+    /**
+     * The error for a rejected token, after telling onUnauthorized about it
+     */
+    unauthorized() {
+        const error = new GitHubAuthError();
+        this.onUnauthorized?.(error);
+        return error;
+    }
+
+    /**
+     * Fetch the current version of a conflicting file onto the error
+     */
+    async attachRemoteVersion(error) {
+        if (!error.path) {
+            return error;
+        }
+        try {
+            error.remote = await this.getFileContent(error.path);
+        } catch (e) {
+            console.warn('Failed to fetch remote version:', e);
+        }
+        return error;
+    }
+
     /**
      * Validate token by getting user info
      */
     async validateToken() {
         try {
-            const user = await this.request('/user');
-            return { valid: true, user };
+            const { data: user, headers } = await this.requestWithHeaders('/user');
+            // No headers means the answer came from the cache because GitHub could not be reached
+            if (!headers) {
+                throw new Error('GitHub is not reachable');
+            }
+            // Classic and OAuth tokens list their scopes; fine-grained tokens send no header
+            const scopesHeader = headers?.get('X-OAuth-Scopes') ?? null;
+            const scopes = scopesHeader === null
+                ? null
+                : scopesHeader.split(',').map(scope => scope.trim()).filter(Boolean);
+
+            let permissions = null;
+            try {
+                permissions = (await this.getRepoInfo()).permissions || null;
+            } catch (error) {
+                console.warn('Failed to read repository permissions:', error);
+            }
+
+            const missingPermission = this.getMissingWritePermission(scopes, permissions);
+            const warnings = missingPermission ? [] : this.getTokenWarnings(scopes);
+            return { valid: true, user, scopes, permissions, missingPermission, warnings };
         } catch (error) {
-            return { valid: false, error: error.message };
+            const message = error instanceof GitHubAuthError ? 'Bad credentials' : error.message;
+            return { valid: false, error: message };
         }
     }
 
+    /**
+     * Why nothing can be saved to the repository with this token, or null if it can.
+     * permissions is the repository's permissions object for the account (from
+     * getRepoInfo). Fine-grained tokens (scopes null) do not report their
+     * permissions, so for them only the account's access is checked.
+     */
+    getMissingWritePermission(scopes, permissions) {
+        const repository = `${this.owner}/${this.repo}`;
+
+        if (permissions && !permissions.push) {
+            return `Your account has read-only access to ${repository}: it needs the write (push) permission.`;
+        }
+        if (scopes !== null && !scopes.includes('repo') && !scopes.includes('public_repo')) {
+            return `This token cannot write to ${repository}: it needs the repo scope (contents: write).`;
+        }
+        return null;
+    }
+
+    /**
+     * What a token that can write still cannot do
+     * @returns {string[]}
+     */
+    getTokenWarnings(scopes) {
+        const warnings = [];
+
+        if (scopes !== null && !scopes.includes('workflow')) {
+            warnings.push('This token lacks the workflow scope, so scheduled posts cannot update their publish workflow.');
+        }
+
+        return warnings;
+    }
+
     /**
      * Get repository info
      */
@@ -63,121 +293,63 @@ class GitHubAPI {
         return await this.request(`/repos/${this.owner}/${this.repo}`);
     }
 
+    // ============================================
+    // File Operations (delegated to the storage backend)
+    // ============================================
+
     /**
      * Get file content from repository
      */
     async getFileContent(path) {
-        try {
-            const url = `${this.baseUrl}/repos/${this.owner}/${this.repo}/contents/${path}?ref=${this.branch}`;
-            const response = await fetch(url, {
-                headers: {
-                    'Authorization': `Bearer ${this.token}`,
-                    'Accept': 'application/vnd.github.v3+json'
-                }
-            });
-
-            if (response.status === 404) {
-                return null;
-            }
-
-            if (!response.ok) {
-                const error = await response.json().catch(() => ({}));
-                throw new Error(error.message || `GitHub API error: ${response.status}`);
-            }
-
-            const data = await response.json();
-            if (data.content) {
-                return {
-                    content: atob(data.content),
-                    sha: data.sha,
-                    path: data.path
-                };
-            }
-            return data;
-        } catch (error) {
-            if (error.message && error.message.includes('404')) {
-                return null;
-            }
-            throw error;
-        }
+        return await this.storage.getFileContent(path);
     }
 
     /**
      * Get all files in a directory
      */
     async getDirectoryContents(path) {
-        try {
-            return await this.request(`/repos/${this.owner}/${this.repo}/contents/${path}?ref=${this.branch}`);
-        } catch (error) {
-            if (error.message.includes('404')) {
-                return [];
-            }
-            throw error;
-        }
+        return await this.storage.getDirectoryContents(path);
     }
 
     /**
      * Create or update a file
      */
     async createOrUpdateFile(path, content, message, sha = null) {
-        const body = {
-            message,
-            content: btoa(unescape(encodeURIComponent(content))),
-            branch: this.branch
-        };
-
-        if (sha) {
-            body.sha = sha;
-        }
-
-        return await this.request(`/repos/${this.owner}/${this.repo}/contents/${path}`, {
-            method: 'PUT',
-            body: JSON.stringify(body)
-        });
+        return await this.storage.createOrUpdateFile(path, content, message, sha);
     }
 
     /**
      * Delete a file
      */
     async deleteFile(path, message, sha) {
-        return await this.request(`/repos/${this.owner}/${this.repo}/contents/${path}`, {
-            method: 'DELETE',
-            body: JSON.stringify({
-                message,
-                sha,
-                branch: this.branch
-            })
-        });
+        return await this.storage.deleteFile(path, message, sha);
     }
 
     /**
      * Upload image file (base64)
      */
     async uploadImage(path, base64Content, message) {
-        // Remove data URL prefix if present
-        const content = base64Content.replace(/^data:image\/[a-zA-Z+]+;base64,/, '');
-        
-        const body = {
-            message,
-            content,
-            branch: this.branch
-        };
+        return await this.storage.uploadImage(path, base64Content, message);
+    }
 
-        // Check if file exists to get SHA (for updating existing file)
-        try {
-            const existing = await this.getFileContent(path);
-            if (existing && existing.sha) {
-                body.sha = existing.sha;
-            }
-        } catch (e) {
-            // File doesn't exist, that's fine for new uploads
-            console.log('Creating new file:', path);
-        }
+    /**
+     * Start a transaction for multi-file changes committed at once
+     */
+    beginTransaction() {
+        return new GitTransaction(this);
+    }
 
-        return await this.request(`/repos/${this.owner}/${this.repo}/contents/${path}`, {
-            method: 'PUT',
-            body: JSON.stringify(body)
-        });
+    /**
+     * Run callback against the given transaction, or against a new one
+     * that is committed with message when the callback finishes
+     */
+    async withTransaction(transaction, message, callback) {
+        const tx = transaction || this.beginTransaction();
+        const result = await callback(tx);
+        if (!transaction) {
+            await tx.commit(message);
+        }
+        return result;
     }
 
     // ============================================
@@ -188,26 +360,62 @@ class GitHubAPI {
      * Get all posts from _posts directory
      */
     async getPosts() {
-        const files = await this.getDirectoryContents('_posts');
+        return await this.loadPostsFrom('_posts', false);
+    }
+
+    /**
+     * Get all drafts from _drafts directory (Jekyll drafts have no date prefix)
+     */
+    async getDrafts() {
+        return await this.loadPostsFrom('_drafts', true);
+    }
+
+    /**
+     * Posts and drafts, for changes that should reach both
+     */
+    async getAllPosts() {
+        return [...await this.getPosts(), ...await this.getDrafts()];
+    }
+
+    async loadPostsFrom(directory, draft) {
+        const files = (await this.getDirectoryContents(directory)).filter(file => file.name.endsWith('.md'));
+        const contents = await this.mapConcurrently(files, this.readConcurrency, file => this.getFileContent(file.path));
         const posts = [];
 
-        for (const file of files) {
-            if (file.name.endsWith('.md')) {
-                const content = await this.getFileContent(file.path);
-                if (content) {
-                    const parsed = this.parsePost(content.content, file.name);
-                    parsed.sha = content.sha;
-                    parsed.path = file.path;
-                    posts.push(parsed);
-                }
+        files.forEach((file, i) => {
+            const content = contents[i];
+            if (content) {
+                const parsed = this.parsePost(content.content, file.name);
+                parsed.sha = content.sha;
+                parsed.path = file.path;
+                parsed.draft = draft;
+                posts.push(parsed);
             }
-        }
+        });
 
         // Sort by date descending
         posts.sort((a, b) => new Date(b.date) - new Date(a.date));
         return posts;
     }
 
+    /**
+     * fn(item) for every item with at most limit running at once, results in order
+     */
+    async mapConcurrently(items, limit, fn) {
+        const results = new Array(items.length);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < items.length) {
+                const index = next++;
+                results[index] = await fn(items[index]);
+            }
+        };
+
+        await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+        return results;
+    }
+
     /**
      * Parse markdown post content
      */
@@ -221,7 +429,10 @@ class GitHubAPI {
             tags: [],
             readTime: '',
             image: '',
-            content: ''
+            content: '',
+            draft: false,
+            frontMatter: {},
+            frontMatterSource: null
         };
 
         // Extract date from filename (YYYY-MM-DD-title.md)
@@ -231,42 +442,19 @@ class GitHubAPI {
         }
 
         // Parse front matter
-        const frontMatterMatch = content.match(/^---\n([\s\S]*?)\n---\n([\s\S]*)$/);
-        if (frontMatterMatch) {
-            const frontMatter = frontMatterMatch[1];
-            post.content = frontMatterMatch[2].trim();
-
-            // Parse YAML-like front matter
-            const lines = frontMatter.split('\n');
-            for (const line of lines) {
-                const match = line.match(/^(\w+):\s*(.*)$/);
-                if (match) {
-                    const [, key, value] = match;
-                    switch (key) {
-                        case 'title':
-                            post.title = value.replace(/^["']|["']$/g, '');
-                            break;
-                        case 'description':
-                            post.description = value.replace(/^["']|["']$/g, '');
-                            break;
-                        case 'date':
-                            post.date = value;
-                            break;
-                        case 'readTime':
-                            post.readTime = value;
-                            break;
-                        case 'image':
-                            post.image = value.replace(/^["']|["']$/g, '');
-                            break;
-                        case 'categories':
-                            post.categories = this.parseArrayValue(value);
-                            break;
-                        case 'tags':
-                            post.tags = this.parseArrayValue(value);
-                            break;
-                    }
-                }
-            }
+        const { data, body, hasFrontMatter, source } = this.frontMatter.parse(content);
+        if (hasFrontMatter) {
+            post.content = body.trim();
+            post.frontMatter = data;
+            post.frontMatterSource = source;
+
+            post.title = this.toText(data.title);
+            post.description = this.toText(data.description);
+            post.date = data.date != null ? this.toText(data.date) : post.date;
+            post.readTime = this.toText(data.readTime);
+            post.image = this.toText(data.image);
+            post.categories = this.toList(data.categories);
+            post.tags = this.toList(data.tags);
         } else {
             post.content = content;
         }
@@ -275,103 +463,298 @@ class GitHubAPI {
     }
 
     /**
-     * Parse YAML array value [item1, item2]
+     * Front matter scalar as form text
+     */
+    toText(value) {
+        return value == null ? '' : String(value);
+    }
+
+    /**
+     * Front matter list (or single value) as an array of strings
      */
-    parseArrayValue(value) {
-        const match = value.match(/\[(.*)\]/);
-        if (match) {
-            return match[1].split(',').map(item => item.trim().replace(/^["']|["']$/g, ''));
+    toList(value) {
+        if (value == null || value === '') {
+            return [];
         }
-        return value ? [value] : [];
+        return (Array.isArray(value) ? value : [value]).map(item => this.toText(item));
     }
 
     /**
-     * Generate markdown content from post data
+     * Generate markdown content from post data. Keys the form does not edit
+     * (author, permalink, seo, ...) come from post.frontMatter, and an edited
+     * post keeps its original key order and comments.
      */
     generatePostContent(post) {
-        let frontMatter = '---\n';
-        frontMatter += 'layout: post\n';
-        frontMatter += `title: ${post.title}\n`;
-        
-        if (post.description) {
-            frontMatter += `description: ${post.description}\n`;
-        }
-        
-        frontMatter += `date: ${post.date}\n`;
-        
-        if (post.readTime) {
-            frontMatter += `readTime: ${post.readTime}\n`;
-        }
-        
-        if (post.image) {
-            frontMatter += `image: ${post.image}\n`;
-        }
-        
-        if (post.categories && post.categories.length > 0) {
-            frontMatter += `categories: [${post.categories.join(', ')}]\n`;
-        }
-        
-        if (post.tags && post.tags.length > 0) {
-            frontMatter += `tags: [${post.tags.join(', ')}]\n`;
-        }
-        
-        frontMatter += '---\n\n';
-        
-        return frontMatter + post.content;
+        const data = {
+            layout: 'post',
+            title: post.title,
+            description: post.description || undefined,
+            date: post.date,
+            readTime: post.readTime || undefined,
+            image: post.image || undefined,
+            categories: post.categories && post.categories.length > 0 ? post.categories : undefined,
+            tags: post.tags && post.tags.length > 0 ? post.tags : undefined
+        };
+
+        Object.entries(post.frontMatter || {}).forEach(([key, value]) => {
+            if (!this.postFields.includes(key)) {
+                data[key] = value;
+            }
+        });
+
+        return this.frontMatter.stringify(data, post.content, post.frontMatterSource);
     }
 
     /**
      * Generate filename from date and title
      */
     generateFilename(date, title) {
-        const slug = title
+        return `${date}-${this.slugify(title)}.md`;
+    }
+
+    /**
+     * Generate draft filename from title (drafts have no date prefix)
+     */
+    generateDraftFilename(title) {
+        return `${this.slugify(title)}.md`;
+    }
+
+    slugify(title) {
+        return title
             .toLowerCase()
             .replace(/[^a-z0-9]+/g, '-')
             .replace(/^-|-$/g, '');
-        return `${date}-${slug}.md`;
     }
 
     /**
-     * Create a new post
+     * Filename for a post, in _drafts style when post.draft is set
      */
-    async createPost(post) {
-        const filename = this.generateFilename(post.date, post.title);
-        const path = `_posts/${filename}`;
+    postFilename(post) {
+        return post.draft ? this.generateDraftFilename(post.title) : this.generateFilename(post.date, post.title);
+    }
+
+    postPath(filename, draft = false) {
+        return `${draft ? '_drafts' : '_posts'}/${filename}`;
+    }
+
+    /**
+     * Create a new post (in _drafts when post.draft is set)
+     */
+    async createPost(post, transaction = null) {
+        const filename = this.postFilename(post);
+        const path = this.postPath(filename, post.draft);
         const content = this.generatePostContent(post);
-        
-        await this.createOrUpdateFile(path, content, `Create post: ${post.title}`);
-        return { filename, path };
+
+        return await this.withTransaction(transaction, `Create ${post.draft ? 'draft' : 'post'}: ${post.title}`, async (tx) => {
+            tx.write(path, content, { expectedSha: null });
+            return { filename, path };
+        });
     }
 
     /**
      * Update an existing post
      */
-    async updatePost(post, originalFilename) {
-        const newFilename = this.generateFilename(post.date, post.title);
-        const newPath = `_posts/${newFilename}`;
+    async updatePost(post, originalFilename, transaction = null) {
+        const newFilename = this.postFilename(post);
+        const newPath = this.postPath(newFilename, post.draft);
         const content = this.generatePostContent(post);
 
-        // If filename changed, delete old file first
-        if (originalFilename && originalFilename !== newFilename) {
-            const oldPath = `_posts/${originalFilename}`;
-            const oldFile = await this.getFileContent(oldPath);
-            if (oldFile && oldFile.sha) {
-                await this.deleteFile(oldPath, `Rename post: ${originalFilename} -> ${newFilename}`, oldFile.sha);
+        // post.sha is the version the edit started from; the commit fails
+        // with GitHubConflictError if the file changed on GitHub since
+        return await this.withTransaction(transaction, `Update ${post.draft ? 'draft' : 'post'}: ${post.title}`, async (tx) => {
+            // If filename changed, remove the old file in the same commit
+            if (originalFilename && originalFilename !== newFilename) {
+                const oldPath = this.postPath(originalFilename, post.draft);
+                if (post.sha) {
+                    tx.delete(oldPath, { expectedSha: post.sha });
+                } else {
+                    const oldFile = await this.getFileContent(oldPath);
+                    if (oldFile && oldFile.sha) {
+                        tx.delete(oldPath);
+                    }
+                }
+                tx.write(newPath, content, { expectedSha: null });
+            } else {
+                tx.write(newPath, content, { expectedSha: post.sha });
             }
-            await this.createOrUpdateFile(newPath, content, `Update post: ${post.title}`);
-        } else {
-            await this.createOrUpdateFile(newPath, content, `Update post: ${post.title}`, post.sha);
+            return { filename: newFilename, path: newPath };
+        });
+    }
+
+    /**
+     * Delete a post or draft
+     */
+    async deletePost(filename, sha, draft = false) {
+        const path = this.postPath(filename, draft);
+        await this.deleteFile(path, `Delete ${draft ? 'draft' : 'post'}: ${filename}`, sha);
+    }
+
+    /**
+     * Move a draft to _posts/YYYY-MM-DD-slug.md, dated date
+     */
+    async publishDraft(draft, date, transaction = null) {
+        const post = { ...draft, draft: false, date };
+        return await this.movePost(draft, post, transaction, `Publish post: ${post.title}`);
+    }
+
+    /**
+     * Move a published post back to _drafts/slug.md
+     */
+    async unpublishPost(published, transaction = null) {
+        const post = { ...published, draft: true };
+        return await this.movePost(published, post, transaction, `Unpublish post: ${post.title}`);
+    }
+
+    /**
+     * Delete from and write to the new location in one commit
+     */
+    async movePost(from, to, transaction, message) {
+        const filename = this.postFilename(to);
+        const path = this.postPath(filename, to.draft);
+        const content = this.generatePostContent(to);
+
+        return await this.withTransaction(transaction, message, async (tx) => {
+            if (await this.getFileContent(path)) {
+                throw new GitHubAPIError(`${path} already exists`, 422);
+            }
+            tx.delete(this.postPath(from.filename, from.draft), { expectedSha: from.sha });
+            tx.write(path, content, { expectedSha: null });
+            return { filename, path };
+        });
+    }
+
+    // ============================================
+    // Scheduled Publishing
+    // ============================================
+
+    /**
+     * When a post goes live. Jekyll reads dates without an offset in the
+     * site timezone (UTC in _config.yml).
+     */
+    getPublishTime(post) {
+        const match = String(post.date).match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{1,2}:\d{2}(?::\d{2})?))?\s*(Z|[+-]\d{2}:?\d{2})?$/);
+        if (!match) {
+            return new Date(post.date);
         }
+        const [, day, time = '00:00', zone = 'Z'] = match;
+        const [hours, minutes, seconds = '00'] = time.split(':');
+        const offset = zone === 'Z' ? zone : zone.replace(/^([+-]\d{2}):?(\d{2})$/, '$1:$2');
+        return new Date(`${day}T${hours.padStart(2, '0')}:${minutes}:${seconds}${offset}`);
+    }
 
-        return { filename: newFilename, path: newPath };
+    /**
+     * Published (not draft) posts dated in the future, which Jekyll skips until then
+     */
+    isScheduled(post, now = new Date()) {
+        return !post.draft && this.getPublishTime(post) > now;
+    }
+
+    /**
+     * Scheduled posts, soonest first
+     */
+    getScheduledPosts(posts, now = new Date()) {
+        return posts
+            .filter(post => this.isScheduled(post, now))
+            .sort((a, b) => this.getPublishTime(a) - this.getPublishTime(b));
     }
 
     /**
-     * Delete a post
+     * Scheduled posts and their publish times as one string, to tell when the
+     * set changed and the workflow needs regenerating
      */
-    async deletePost(filename, sha) {
-        const path = `_posts/${filename}`;
-        await this.deleteFile(path, `Delete post: ${filename}`, sha);
+    getScheduleSignature(posts, now = new Date()) {
+        return this.getScheduledPosts(posts, now)
+            .map(post => `${post.filename}@${this.getPublishTime(post).toISOString()}`)
+            .join('\n');
+    }
+
+    /**
+     * Workflow that rebuilds the site shortly after each scheduled post is due,
+     * or null when nothing is scheduled
+     */
+    generateScheduleWorkflow(posts, now = new Date()) {
+        const scheduled = this.getScheduledPosts(posts, now);
+        if (scheduled.length === 0) {
+            return null;
+        }
+
+        const crons = new Map();
+        const dueTimes = new Set();
+        scheduled.forEach(post => {
+            // A few minutes late so the build runs after the post date (GitHub cron is UTC)
+            const due = new Date(this.getPublishTime(post).getTime() + this.scheduleDelayMinutes * 60000);
+            const cron = `${due.getUTCMinutes()} ${due.getUTCHours()} ${due.getUTCDate()} ${due.getUTCMonth() + 1} *`;
+            const label = `${post.title.replace(/\s+/g, ' ')} (${due.toISOString().slice(0, 16).replace('T', ' ')} UTC)`;
+            crons.set(cron, [...(crons.get(cron) || []), label]);
+            dueTimes.add(due.toISOString().replace('.000Z', 'Z'));
+        });
+
+        const entries = Array.from(crons.entries()).map(([cron, labels]) =>
+            labels.map(label => `    # ${label}\n`).join('') + `    - cron: '${cron}'\n`
+        ).join('');
+
+        // Cron has no year field, so each entry fires again a year later; the
+        // due job only lets a scheduled run rebuild within a day of a due time
+        return `# Generated by the admin dashboard from future-dated posts; changes are overwritten.
+# Jekyll skips posts dated in the future, so this rebuilds the site when each one is due.
+name: Scheduled Publish
+
+on:
+  schedule:
+${entries}  workflow_dispatch:
+
+jobs:
+  due:
+    runs-on: ubuntu-latest
+    outputs:
+      rebuild: \${{ steps.check.outputs.rebuild }}
+    steps:
+      - id: check
+        run: |
+          now=$(date -u +%s)
+          rebuild=false
+          for due in ${Array.from(dueTimes).join(' ')}; do
+            due=$(date -u -d "$due" +%s)
+            if [ "$due" -le "$now" ] && [ $((now - due)) -lt 86400 ]; then
+              rebuild=true
+            fi
+          done
+          echo "rebuild=$rebuild" >> "$GITHUB_OUTPUT"
+
+  rebuild:
+    needs: due
+    if: github.event_name != 'schedule' || needs.due.outputs.rebuild == 'true'
+    uses: ./.github/workflows/main.yml
+    permissions:
+      contents: read
+      pages: write
+      id-token: write
+`;
+    }
+
+    /**
+     * Write (or remove) the schedule workflow when it differs from the repository.
+     * Needs a token with the workflow scope on GitHub.
+     * @returns {Promise<string>} - 'updated', 'removed' or 'unchanged'
+     */
+    async updateScheduleWorkflow(posts) {
+        const path = this.scheduleWorkflowPath;
+        const content = this.generateScheduleWorkflow(posts);
+        const existing = await this.getFileContent(path);
+        if (content === (existing ? existing.content : null)) {
+            return 'unchanged';
+        }
+
+        const transaction = this.beginTransaction();
+        if (content) {
+            transaction.write(path, content, { expectedSha: existing ? existing.sha : null });
+            await transaction.commit('Update scheduled publish workflow');
+            return 'updated';
+        }
+
+        transaction.delete(path, { expectedSha: existing.sha });
+        await transaction.commit('Remove scheduled publish workflow');
+        return 'removed';
     }
 
     // ============================================
@@ -379,10 +762,10 @@ class GitHubAPI {
     // ============================================
 
     /**
-     * Get all unique categories from posts
+     * Get all unique categories from posts (loaded again unless given)
      */
-    async getCategories() {
-        const posts = await this.getPosts();
+    async getCategories(posts = null) {
+        posts = posts || await this.getPosts();
         const categoryMap = new Map();
 
         for (const post of posts) {
@@ -405,10 +788,10 @@ class GitHubAPI {
     }
 
     /**
-     * Get all unique tags from posts
+     * Get all unique tags from posts (loaded again unless given)
      */
-    async getTags() {
-        const posts = await this.getPosts();
+    async getTags(posts = null) {
+        posts = posts || await this.getPosts();
         const tagMap = new Map();
 
         for (const post of posts) {
@@ -434,18 +817,20 @@ class GitHubAPI {
      * Rename a category across all posts
      */
     async renameCategory(oldName, newName) {
-        const posts = await this.getPosts();
+        const posts = await this.getAllPosts();
+        const transaction = this.beginTransaction();
         let updatedCount = 0;
 
         for (const post of posts) {
             const index = post.categories.findIndex(c => c.toLowerCase() === oldName.toLowerCase());
             if (index !== -1) {
                 post.categories[index] = newName;
-                await this.updatePost(post, post.filename);
+                await this.updatePost(post, post.filename, transaction);
                 updatedCount++;
             }
         }
 
+        await transaction.commit(`Rename category: ${oldName} -> ${newName}`);
         return updatedCount;
     }
 
@@ -453,18 +838,20 @@ class GitHubAPI {
      * Rename a tag across all posts
      */
     async renameTag(oldName, newName) {
-        const posts = await this.getPosts();
+        const posts = await this.getAllPosts();
+        const transaction = this.beginTransaction();
         let updatedCount = 0;
 
         for (const post of posts) {
             const index = post.tags.findIndex(t => t.toLowerCase() === oldName.toLowerCase());
             if (index !== -1) {
                 post.tags[index] = newName;
-                await this.updatePost(post, post.filename);
+                await this.updatePost(post, post.filename, transaction);
                 updatedCount++;
             }
         }
 
+        await transaction.commit(`Rename tag: ${oldName} -> ${newName}`);
         return updatedCount;
     }
 
@@ -472,18 +859,20 @@ class GitHubAPI {
      * Delete a category from all posts
      */
     async deleteCategory(name) {
-        const posts = await this.getPosts();
+        const posts = await this.getAllPosts();
+        const transaction = this.beginTransaction();
         let updatedCount = 0;
 
         for (const post of posts) {
             const index = post.categories.findIndex(c => c.toLowerCase() === name.toLowerCase());
             if (index !== -1) {
                 post.categories.splice(index, 1);
-                await this.updatePost(post, post.filename);
+                await this.updatePost(post, post.filename, transaction);
                 updatedCount++;
             }
         }
 
+        await transaction.commit(`Delete category: ${name}`);
         return updatedCount;
     }
 
@@ -491,18 +880,20 @@ class GitHubAPI {
      * Delete a tag from all posts
      */
     async deleteTag(name) {
-        const posts = await this.getPosts();
+        const posts = await this.getAllPosts();
+        const transaction = this.beginTransaction();
         let updatedCount = 0;
 
         for (const post of posts) {
             const index = post.tags.findIndex(t => t.toLowerCase() === name.toLowerCase());
             if (index !== -1) {
                 post.tags.splice(index, 1);
-                await this.updatePost(post, post.filename);
+                await this.updatePost(post, post.filename, transaction);
                 updatedCount++;
             }
         }
 
+        await transaction.commit(`Delete tag: ${name}`);
         return updatedCount;
     }
 
@@ -514,50 +905,266 @@ class GitHubAPI {
      * Get all images from assets directory
      */
     async getImages() {
-        return await this.getDirectoryContents('src/assets/images');
+        const items = await this.getDirectoryContents(this.imagesPath);
+        return items.filter(item => item.type === 'file' && /\.(png|jpe?g|gif|webp|avif|svg)$/i.test(item.name));
     }
 
     /**
-     * Upload an image
+     * Posts, drafts and projects that reference each image
+     * @returns {Map<string, Array<{type: string, title: string, filename?: string, index?: number}>>} keyed by image path
      */
-    async uploadPostImage(file) {
+    getImageUsage(images, posts, projects) {
+        const usage = new Map(images.map(image => [image.path, []]));
+
+        const find = (text, reference) => {
+            images.forEach(image => {
+                if (text && text.includes(image.path)) {
+                    usage.get(image.path).push(reference);
+                }
+            });
+        };
+
+        posts.forEach(post => {
+            const text = [post.image, post.content, JSON.stringify(post.frontMatter || {})].join('\n');
+            find(text, { type: post.draft ? 'draft' : 'post', title: post.title, filename: post.filename });
+        });
+        projects.forEach(project => {
+            find([project.image, ...(project.gallery || [])].join('\n'), { type: 'project', title: project.title, id: project.id });
+        });
+
+        return usage;
+    }
+
+    /**
+     * Read a File as a base64 data URL
+     */
+    readFileAsDataURL(file) {
         return new Promise((resolve, reject) => {
             const reader = new FileReader();
-            reader.onload = async (e) => {
-                try {
-                    const base64 = e.target.result;
-                    // Clean filename: remove special chars, keep extension
-                    const ext = file.name.split('.').pop().toLowerCase();
-                    const baseName = file.name.replace(/\.[^/.]+$/, '').replace(/[^a-z0-9]/gi, '-').substring(0, 50);
-                    const filename = `post-${Date.now()}-${baseName}.${ext}`;
-                    const path = `src/assets/images/${filename}`;
-                    
-                    console.log('Uploading image to:', path);
-                    await this.uploadImage(path, base64, `Upload image: ${filename}`);
-                    console.log('Image uploaded successfully');
-                    
-                    resolve({
-                        path: `/${path}`,
-                        filename
-                    });
-                } catch (error) {
-                    console.error('Upload error:', error);
-                    reject(new Error(`Failed to upload image: ${error.message}`));
-                }
-            };
+            reader.onload = (e) => resolve(e.target.result);
             reader.onerror = () => reject(new Error('Failed to read file'));
             reader.readAsDataURL(file);
         });
     }
 
+    async hashBytes(algorithm, bytes) {
+        const hash = await crypto.subtle.digest(algorithm, bytes);
+        return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
     /**
-     * Delete an image
+     * Content-addressed filename: the first 16 hex digits of the file's SHA-256,
+     * so the same image always gets the same name
      */
-    async deleteImage(path) {
-        const file = await this.getFileContent(path);
-        if (file && file.sha) {
-            await this.deleteFile(path, `Delete image: ${path}`, file.sha);
+    async generateImageFilename(file) {
+        const ext = file.name.includes('.') ? file.name.split('.').pop().toLowerCase() : file.type.split('/')[1];
+        const hash = await this.hashBytes('SHA-256', await file.arrayBuffer());
+        return `${hash.slice(0, 16)}.${ext}`;
+    }
+
+    /**
+     * Git blob sha of a file, as listed by getImages
+     */
+    async gitBlobSha(file) {
+        const bytes = new Uint8Array(await file.arrayBuffer());
+        const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+        const data = new Uint8Array(header.length + bytes.length);
+        data.set(header, 0);
+        data.set(bytes, header.length);
+        return await this.hashBytes('SHA-1', data);
+    }
+
+    /**
+     * Image already in the repository (or staged in transaction) with the same
+     * content as file, found by content-addressed name or by blob sha for older uploads
+     * @returns {Promise<{path: string, name: string}|null>}
+     */
+    async findExistingImage(file, filename, transaction = null) {
+        const path = `${this.imagesPath}/${filename}`;
+        if (transaction && transaction.getStaged(path)) {
+            return { path, name: filename };
+        }
+
+        const [images, sha] = await Promise.all([this.getImages(), this.gitBlobSha(file)]);
+        return images.find(image => image.name === filename || image.sha === sha) || null;
+    }
+
+    /**
+     * Upload an image, or stage it in transaction when one is given
+     * @param {object} options - filename: name chosen earlier with generateImageFilename
+     */
+    async uploadPostImage(file, transaction = null, { filename = null } = {}) {
+        filename = filename || await this.generateImageFilename(file);
+        const base64 = await this.readFileAsDataURL(file);
+        const path = `${this.imagesPath}/${filename}`;
+
+        try {
+            if (transaction) {
+                transaction.writeBase64(path, base64);
+            } else {
+                console.log('Uploading image to:', path);
+                await this.uploadImage(path, base64, `Upload image: ${filename}`);
+                console.log('Image uploaded successfully');
+            }
+        } catch (error) {
+            console.error('Upload error:', error);
+            throw new Error(`Failed to upload image: ${error.message}`);
+        }
+
+        return {
+            path: `/${path}`,
+            filename
+        };
+    }
+
+    /**
+     * Upload an image processed by ImageProcessor together with its responsive
+     * variants, which are recorded in the image manifest. An identical image
+     * already in the repository is reused instead (reused: true).
+     */
+    async uploadImageSet(image, transaction = null, { filename = null } = {}) {
+        filename = filename || await this.generateImageFilename(image.file);
+
+        const existing = await this.findExistingImage(image.file, filename, transaction);
+        if (existing) {
+            return { path: `/${existing.path}`, filename: existing.name, reused: true };
         }
+
+        return await this.withTransaction(transaction, `Upload image: ${filename}`, async (tx) => {
+            const result = await this.uploadPostImage(image.file, tx, { filename });
+            if (image.variants.length === 0) {
+                return result;
+            }
+
+            const stem = filename.replace(/\.[^/.]+$/, '');
+            const variants = [];
+            for (const variant of image.variants) {
+                const ext = variant.file.name.split('.').pop();
+                const { path } = await this.uploadPostImage(variant.file, tx, { filename: `${stem}-${variant.width}w.${ext}` });
+                variants.push({ path, width: variant.width });
+            }
+
+            const { manifest, sha } = await this.readImageManifest(tx);
+            manifest[result.path] = { width: image.width, height: image.height, variants };
+            this.stageImageManifest(manifest, sha, tx);
+
+            return result;
+        });
+    }
+
+    /**
+     * Responsive variants keyed by image URL path ("/src/assets/images/...")
+     */
+    async getImageManifest() {
+        const { manifest } = await this.readImageManifest();
+        return manifest;
+    }
+
+    /**
+     * Image manifest as staged in transaction, else as stored
+     * @returns {{manifest: object, sha: string|null}}
+     */
+    async readImageManifest(transaction = null) {
+        const staged = transaction && transaction.getStaged(this.imageManifestPath);
+        if (staged && !staged.deleted) {
+            return { manifest: JSON.parse(staged.content), sha: staged.expectedSha };
+        }
+
+        const file = await this.getFileContent(this.imageManifestPath);
+        return { manifest: file ? JSON.parse(file.content) : {}, sha: file ? file.sha : null };
+    }
+
+    stageImageManifest(manifest, sha, transaction) {
+        const sorted = Object.fromEntries(Object.keys(manifest).sort().map(key => [key, manifest[key]]));
+        transaction.write(this.imageManifestPath, JSON.stringify(sorted, null, 2) + '\n', { expectedSha: sha });
+    }
+
+    /**
+     * Delete an image along with its responsive variants; sha skips looking the file up first
+     */
+    async deleteImage(path, sha = null, transaction = null) {
+        if (!sha) {
+            const file = await this.getFileContent(path);
+            sha = file && file.sha;
+        }
+        if (!sha) return;
+
+        await this.withTransaction(transaction, `Delete image: ${path}`, async (tx) => {
+            tx.delete(path, { expectedSha: sha });
+
+            const { manifest, sha: manifestSha } = await this.readImageManifest(tx);
+            const entry = manifest[`/${path}`];
+            if (entry) {
+                entry.variants.forEach(variant => tx.delete(variant.path.replace(/^\//, '')));
+                delete manifest[`/${path}`];
+                this.stageImageManifest(manifest, manifestSha, tx);
+            }
+        });
+    }
+
+    /**
+     * Groups of identical images (same blob sha), largest first
+     * @returns {Array<Array<object>>}
+     */
+    findDuplicateImages(images) {
+        const groups = new Map();
+        images.filter(image => image.sha).forEach(image => {
+            groups.set(image.sha, [...(groups.get(image.sha) || []), image]);
+        });
+        return Array.from(groups.values())
+            .filter(group => group.length > 1)
+            .sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Point every reference to duplicates at keep and delete the duplicates, in one commit
+     * @returns {Promise<number>} Number of files whose references were rewritten
+     */
+    async mergeDuplicateImages(keep, duplicates, transaction = null) {
+        const message = `Merge duplicate images into ${keep.name}`;
+        return await this.withTransaction(transaction, message, async (tx) => {
+            const posts = await this.getAllPosts();
+            const usage = this.getImageUsage(duplicates, posts, []);
+            const pages = await this.getDirectoryContents(this.projectPagesPath);
+            const files = new Set(['index.html', this.projectsDataPath, ...pages.filter(f => f.name.endsWith('.md')).map(f => f.path)]);
+            duplicates.forEach(image => usage.get(image.path).forEach(ref => {
+                files.add(posts.find(post => post.filename === ref.filename && post.draft === (ref.type === 'draft')).path);
+            }));
+
+            let rewritten = 0;
+            for (const path of files) {
+                const file = await this.getFileContent(path);
+                if (!file) continue;
+
+                const content = duplicates.reduce((text, image) => text.split(image.path).join(keep.path), file.content);
+                if (content !== file.content) {
+                    tx.write(path, content, { expectedSha: file.sha });
+                    rewritten++;
+                }
+            }
+
+            // Variants of a duplicate move over to keep unless it has its own
+            const { manifest, sha } = await this.readImageManifest(tx);
+            let manifestChanged = false;
+            for (const image of duplicates) {
+                const entry = manifest[`/${image.path}`];
+                if (entry) {
+                    if (manifest[`/${keep.path}`]) {
+                        entry.variants.forEach(variant => tx.delete(variant.path.replace(/^\//, '')));
+                    } else {
+                        manifest[`/${keep.path}`] = entry;
+                    }
+                    delete manifest[`/${image.path}`];
+                    manifestChanged = true;
+                }
+                tx.delete(image.path, { expectedSha: image.sha });
+            }
+            if (manifestChanged) {
+                this.stageImageManifest(manifest, sha, tx);
+            }
+
+            return rewritten;
+        });
     }
 
     // ============================================
@@ -565,20 +1172,191 @@ class GitHubAPI {
     // ============================================
 
     /**
-     * Get projects from index.html
+     * Get projects from the data file rendered by index.html; its sha is kept
+     * in projectsSha
      */
     async getProjects() {
-        const file = await this.getFileContent('index.html');
+        const file = await this.getFileContent(this.projectsDataPath);
+        this.projectsSha = file ? file.sha : null;
         if (!file) return [];
 
-        const content = file.content;
-        const projects = [];
+        const data = this.frontMatter.parseData(file.content);
+        return this.assignProjectIds((Array.isArray(data) ? data : []).map(item => this.projectSchema.normalize(item)));
+    }
+
+    /**
+     * Give projects without an id one derived from their title. Ids never change
+     * afterwards, so renaming a project keeps its id
+     */
+    assignProjectIds(projects) {
+        projects.forEach(project => {
+            if (!project.id) project.id = this.generateProjectId(project.title, projects);
+        });
+        return projects;
+    }
+
+    /**
+     * Slug of the title, suffixed with -2, -3... when another project has it
+     */
+    generateProjectId(title, projects) {
+        const base = this.slugify(title || '') || 'project';
+        const taken = new Set(projects.map(p => p.id).filter(Boolean));
+        let id = base;
+        for (let n = 2; taken.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+        return id;
+    }
+
+    findProjectIndex(projects, id) {
+        const index = projects.findIndex(p => p.id === id);
+        if (index === -1) {
+            throw new Error(`Project "${id}" not found; it may have been deleted. Reload the project list.`);
+        }
+        return index;
+    }
+
+    /**
+     * Stage the project list, checking the data file still has expectedSha
+     * (by default the sha getProjects last read)
+     */
+    saveProjects(projects, message, transaction = null, expectedSha = this.projectsSha) {
+        this.assignProjectIds(projects);
+        const content = this.projectsDataHeader + this.frontMatter.stringifyData(projects.map(p => this.projectSchema.serialize(p)));
+        return this.withTransaction(transaction, message, async (tx) => {
+            tx.write(this.projectsDataPath, content, { expectedSha });
+        });
+    }
+
+    /**
+     * Create a new project and its page
+     * @param {object} options - expectedSha: projectsSha of the list the form was opened from;
+     *   transaction: stage in it instead of committing right away
+     * @returns {Promise<string>} Id given to the project
+     */
+    async createProject(project, caseStudy = '', { expectedSha, transaction = null } = {}) {
+        const projects = await this.getProjects();
+        const id = this.generateProjectId(project.title, projects);
+        projects.push({ ...project, id });
+
+        await this.withTransaction(transaction, `Create project: ${project.title}`, async (tx) => {
+            await this.saveProjects(projects, null, tx, expectedSha);
+            await this.stageProjectPage(projects[projects.length - 1], caseStudy, tx);
+        });
+        return id;
+    }
+
+    /**
+     * Update an existing project and its page. The case study is left as it is
+     * when caseStudy is undefined
+     * @param {object} options - expectedSha: projectsSha of the list the form was opened from;
+     *   transaction: stage in it instead of committing right away
+     */
+    async updateProject(id, project, caseStudy = undefined, { expectedSha, transaction = null } = {}) {
+        const projects = await this.getProjects();
+        const index = this.findProjectIndex(projects, id);
+        // Keep keys the form doesn't know about
+        projects[index] = { ...projects[index], ...project, id };
+
+        await this.withTransaction(transaction, `Update project: ${project.title}`, async (tx) => {
+            await this.saveProjects(projects, null, tx, expectedSha);
+            await this.stageProjectPage(projects[index], caseStudy, tx);
+        });
+    }
+
+    /**
+     * Delete a project and its page
+     * @param {object} options - expectedSha: projectsSha of the list it was deleted from
+     */
+    async deleteProject(id, { expectedSha } = {}) {
+        const projects = await this.getProjects();
+        const [removed] = projects.splice(this.findProjectIndex(projects, id), 1);
+        const page = await this.getFileContent(this.projectPagePath(id));
+
+        await this.withTransaction(null, `Delete project: ${removed.title}`, async (tx) => {
+            await this.saveProjects(projects, null, tx, expectedSha);
+            if (page) {
+                tx.delete(this.projectPagePath(id), { expectedSha: page.sha });
+            }
+        });
+    }
+
+    /**
+     * Put projects in the order of ids, in one commit. Projects added since the
+     * list was loaded keep their place at the end
+     */
+    async reorderProjects(ids) {
+        const projects = await this.getProjects();
+        ids.forEach(id => this.findProjectIndex(projects, id));
+
+        const position = new Map(ids.map((id, index) => [id, index]));
+        const ordered = [
+            ...projects.filter(p => position.has(p.id)).sort((a, b) => position.get(a.id) - position.get(b.id)),
+            ...projects.filter(p => !position.has(p.id))
+        ];
+        if (ordered.every((project, index) => project === projects[index])) {
+            return;
+        }
+        await this.saveProjects(ordered, 'Reorder projects');
+    }
+
+    // ============================================
+    // Project Pages
+    // ============================================
+
+    projectPagePath(id) {
+        return `${this.projectPagesPath}/${id}.md`;
+    }
 
-        // Parse project cards from HTML
+    /**
+     * Markdown case study of a project, '' when it has none
+     */
+    async getProjectCaseStudy(id) {
+        const file = await this.getFileContent(this.projectPagePath(id));
+        return file ? this.frontMatter.parse(file.content).body.replace(/^\n/, '') : '';
+    }
+
+    /**
+     * Stage the page _layouts/project.html renders for a project. The project's
+     * fields are read from the data file; the page only holds what Jekyll needs
+     * per page, and the case study as its body. Keys added by hand are kept.
+     */
+    async stageProjectPage(project, caseStudy, tx) {
+        const path = this.projectPagePath(project.id);
+        const file = await this.getFileContent(path);
+        const existing = file ? this.frontMatter.parse(file.content) : { data: {}, body: '', source: null };
+
+        const data = {
+            ...existing.data,
+            layout: 'project',
+            project_id: project.id,
+            title: project.title,
+            description: project.description || undefined,
+            // Hidden projects get no page on the site
+            published: project.archived ? false : undefined
+        };
+        const body = caseStudy !== undefined ? caseStudy : existing.body.replace(/^\n/, '');
+        const content = this.frontMatter.stringify(data, body.trim() ? body.replace(/\n*$/, '\n') : '', existing.source);
+
+        if (!file || content !== file.content) {
+            tx.write(path, content, { expectedSha: file ? file.sha : null });
+        }
+    }
+
+    // ============================================
+    // Projects Migration
+    // ============================================
+
+    /**
+     * Scrape hard-coded project cards out of HTML
+     * @returns {Array<{project: object, start: number, end: number}>} Cards with their position in html
+     */
+    parseProjectCards(html) {
+        const cards = [];
         const projectRegex = /<div class="project-card">([\s\S]*?)<\/div>\s*<\/div>\s*<\/div>/g;
         let match;
 
-        while ((match = projectRegex.exec(content)) !== null) {
+        while ((match = projectRegex.exec(html)) !== null) {
             const cardHtml = match[0];
             
             // Extract image
@@ -608,128 +1386,110 @@ class GitHubAPI {
             const demoMatch = cardHtml.match(/href="(https:\/\/[^"]+)"[^>]*class="project-card__link">\s*Live Demo/);
             const demo = demoMatch ? demoMatch[1] : '';
 
-            if (title) {
-                projects.push({ title, description, image, tech, github, demo });
+            // The Liquid loop's own card template is not a project
+            if (title && !title.includes('{{')) {
+                cards.push({
+                    project: { title, description, image, tech, github, demo },
+                    start: match.index,
+                    end: match.index + cardHtml.length
+                });
             }
         }
 
-        this.indexHtmlSha = file.sha;
-        this.indexHtmlContent = content;
-        return projects;
+        return cards;
     }
 
     /**
-     * Generate project card HTML
+     * Project cards still hard-coded in index.html
      */
-    generateProjectCardHtml(project) {
-        const imagePath = project.image || '/src/assets/images/default-blog-image.svg';
-        const techItems = project.tech.map(t => 
-            `                            <span class="project-card__tech-item">${t}</span>`
-        ).join('\n');
-
-        let links = '';
-        if (project.github) {
-            links += `                            <a href="${project.github}" target="_blank" rel="noopener noreferrer" class="project-card__link">
-                                GitHub
-                            </a>\n`;
-        }
-        if (project.demo) {
-            links += `                            <a href="${project.demo}" target="_blank" rel="noopener noreferrer" class="project-card__link">
-                                Live Demo
-                            </a>`;
-        } else if (!project.github) {
-            links += `                            <span class="project-card__link" style="opacity: 0.5;">Coming Soon</span>`;
-        }
-
-        return `                <div class="project-card">
-                    <div class="project-card__image">
-                        <img src="{{ '${imagePath}' | relative_url }}" alt="${project.title}" class="project-card__image-img">
-                    </div>
-                    <div class="project-card__content">
-                        <h3 class="project-card__title">${project.title}</h3>
-                        <p class="project-card__description">${project.description}</p>
-                        <div class="project-card__tech">
-${techItems}
-                        </div>
-                        <div class="project-card__links">
-${links.trimEnd()}
-                        </div>
-                    </div>
-                </div>`;
-    }
-
-    /**
-     * Update index.html with new projects
-     */
-    async updateIndexHtmlProjects(projects) {
-        // Get fresh content
+    async getLegacyProjectCards() {
         const file = await this.getFileContent('index.html');
-        if (!file) throw new Error('Could not read index.html');
-
-        let content = file.content;
-
-        // Find the projects grid section
-        const gridStartRegex = /<div class="projects__grid" id="projects-container">/;
-        const gridEndRegex = /<\/div>\s*<\/section>\s*<section class="music">/;
-
-        const startMatch = content.match(gridStartRegex);
-        const endMatch = content.match(gridEndRegex);
-
-        if (!startMatch || !endMatch) {
-            throw new Error('Could not find projects section in index.html');
-        }
-
-        const startIndex = startMatch.index + startMatch[0].length;
-        const endIndex = content.indexOf('</div>\n        </section>\n\n        <section class="music">');
-
-        if (endIndex === -1) {
-            throw new Error('Could not find end of projects section');
-        }
-
-        // Generate new projects HTML
-        const projectsHtml = projects.map(p => this.generateProjectCardHtml(p)).join('\n\n');
-
-        // Replace projects section
-        const before = content.substring(0, startIndex);
-        const after = content.substring(endIndex);
-        const newContent = before + '\n' + projectsHtml + '\n            ' + after;
-
-        await this.createOrUpdateFile('index.html', newContent, 'Update projects', file.sha);
+        return file ? this.parseProjectCards(file.content).map(card => card.project) : [];
     }
 
     /**
-     * Create a new project
+     * Liquid loop that renders the project data file as cards
      */
-    async createProject(project) {
-        const projects = await this.getProjects();
-        projects.push(project);
-        await this.updateIndexHtmlProjects(projects);
+    generateProjectsLoopHtml(indent) {
+        const sizes = '(max-width: 639px) 100vw, (max-width: 1023px) 50vw, 400px';
+        return [
+            `{% for project in site.data.projects %}`,
+            `{% if project.archived %}{% continue %}{% endif %}`,
+            `<div class="project-card" data-project-id="{{ project.id }}"{% if project.github %} data-github="{{ project.github }}"{% endif %}>`,
+            `    <div class="project-card__image">`,
+            `        {% assign project_image = project.image | default: '/src/assets/images/default-blog-image.svg' %}`,
+            `        <img src="{{ project_image | relative_url }}"{% include image-srcset.html src=project_image sizes="${sizes}" %} alt="{{ project.title | escape }}" class="project-card__image-img">`,
+            `    </div>`,
+            `    <div class="project-card__content">`,
+            `        <h3 class="project-card__title">{{ project.title | escape }}</h3>`,
+            `        <p class="project-card__description">{{ project.description | escape }}</p>`,
+            `        <div class="project-card__tech">`,
+            `            {% for tech in project.tech %}`,
+            `            <span class="project-card__tech-item">{{ tech | escape }}</span>`,
+            `            {% endfor %}`,
+            `        </div>`,
+            `        <div class="project-card__links">`,
+            `            <a href="{{ '/projects/' | append: project.id | append: '/' | relative_url }}" class="project-card__link">`,
+            `                Details`,
+            `            </a>`,
+            `            {% if project.github %}`,
+            `            <a href="{{ project.github }}" target="_blank" rel="noopener noreferrer" class="project-card__link">`,
+            `                GitHub`,
+            `            </a>`,
+            `            {% endif %}`,
+            `            {% if project.demo %}`,
+            `            <a href="{{ project.demo }}" target="_blank" rel="noopener noreferrer" class="project-card__link">`,
+            `                Live Demo`,
+            `            </a>`,
+            `            {% elsif project.github == nil %}`,
+            `            <span class="project-card__link" style="opacity: 0.5;">Coming Soon</span>`,
+            `            {% endif %}`,
+            `        </div>`,
+            `    </div>`,
+            `</div>`,
+            `{% endfor %}`
+        ].map(line => indent + line).join('\n');
     }
 
     /**
-     * Update an existing project
+     * One-time move of the cards hard-coded in index.html into the project data
+     * file, replacing them with the Liquid loop, in one commit
+     * @returns {Promise<number>} Number of projects moved
      */
-    async updateProject(index, project) {
-        const projects = await this.getProjects();
-        if (index < 0 || index >= projects.length) {
-            throw new Error('Project index out of range');
+    async migrateProjectsToData() {
+        const file = await this.getFileContent('index.html');
+        const cards = file ? this.parseProjectCards(file.content) : [];
+        if (cards.length === 0) {
+            return 0;
         }
-        projects[index] = project;
-        await this.updateIndexHtmlProjects(projects);
-    }
 
-    /**
-     * Delete a project
-     */
-    async deleteProject(index) {
-        const projects = await this.getProjects();
-        if (index < 0 || index >= projects.length) {
-            throw new Error('Project index out of range');
+        const html = file.content;
+        const lineStart = html.lastIndexOf('\n', cards[0].start) + 1;
+        const indent = html.slice(lineStart, cards[0].start);
+        const before = html.slice(0, lineStart);
+        const after = html.slice(cards[cards.length - 1].end);
+
+        // Cards are replaced by the loop, unless index.html already has one next to them
+        const content = html.includes('site.data.projects')
+            ? before + after.replace(/^[ \t]*\n/, '')
+            : before + this.generateProjectsLoopHtml(indent) + after;
+
+        const projects = [...await this.getProjects(), ...cards.map(card => card.project)];
+        const tx = this.beginTransaction();
+        await this.saveProjects(projects, null, tx);
+        for (const project of projects) {
+            await this.stageProjectPage(project, undefined, tx);
         }
-        projects.splice(index, 1);
-        await this.updateIndexHtmlProjects(projects);
+        tx.write('index.html', content, { expectedSha: file.sha });
+        await tx.commit(`Move projects from index.html to ${this.projectsDataPath}`);
+
+        return cards.length;
     }
 }
 
 // Export for use in other modules
+window.GitHubAPIError = GitHubAPIError;
+window.GitHubConflictError = GitHubConflictError;
+window.GitHubAuthError = GitHubAuthError;
+window.GitTransaction = GitTransaction;
 window.GitHubAPI = GitHubAPI;
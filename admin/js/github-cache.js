@@ -0,0 +1,106 @@
+/**
+ * GitHub Response Cache for HarryTien Admin Dashboard
+ * Keeps GET responses and their ETags for GitHubClient, so unchanged files are
+ * revalidated with If-None-Match (a 304 does not count against the rate limit)
+ * instead of downloaded again. Entries live in memory and are copied to
+ * IndexedDB, which fills the memory on the next visit.
+ */
+
+class GitHubResponseCache {
+    constructor({ database = 'harrytien_admin_cache', store = 'responses' } = {}) {
+        this.database = database;
+        this.store = store;
+        this.entries = new Map();
+        // Account details stay in memory only; the rest is repository content
+        this.memoryOnly = ['/user'];
+        this.connection = null;
+        // GitHubClient reads the cache synchronously, so requests wait for this first
+        this.ready = this.load();
+    }
+
+    isPersistent() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    get(key) {
+        return this.entries.get(key) || null;
+    }
+
+    set(key, value) {
+        this.entries.set(key, value);
+        if (this.isMemoryOnly(key)) return;
+        this.withStore('readwrite', store => store.put(value, key))
+            .catch(error => console.warn('Failed to persist GitHub cache entry:', error?.message));
+    }
+
+    /**
+     * Forget every entry, also in IndexedDB; never rejects
+     */
+    async clear() {
+        this.entries.clear();
+        await this.withStore('readwrite', store => store.clear())
+            .catch(error => console.warn('Failed to clear GitHub cache:', error?.message));
+    }
+
+    isMemoryOnly(key) {
+        return this.memoryOnly.some(prefix => key === prefix || key.startsWith(`${prefix}/`));
+    }
+
+    /**
+     * Fill the memory from IndexedDB; never rejects, the cache just starts empty
+     */
+    async load() {
+        try {
+            await this.withStore('readonly', store => {
+                const request = store.openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    // Entries written while loading are newer
+                    if (!this.entries.has(cursor.key) && !this.isMemoryOnly(cursor.key)) {
+                        this.entries.set(cursor.key, cursor.value);
+                    }
+                    cursor.continue();
+                };
+                return request;
+            });
+        } catch (error) {
+            console.warn('GitHub cache unavailable:', error?.message);
+        }
+    }
+
+    /**
+     * The database connection, opened once and kept for the page's lifetime
+     */
+    openDatabase() {
+        if (!this.connection) {
+            this.connection = new Promise((resolve, reject) => {
+                const open = indexedDB.open(this.database, 1);
+                open.onupgradeneeded = () => open.result.createObjectStore(this.store);
+                open.onsuccess = () => resolve(open.result);
+                open.onerror = () => reject(open.error);
+            });
+            // Allow another attempt after a failure
+            this.connection.catch(() => { this.connection = null; });
+        }
+        return this.connection;
+    }
+
+    /**
+     * Run callback(store) in a transaction and resolve once it completes
+     */
+    async withStore(mode, callback) {
+        if (!this.isPersistent()) return;
+
+        const db = await this.openDatabase();
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.store, mode);
+            callback(transaction.objectStore(this.store));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = transaction.onabort = () => reject(transaction.error);
+        });
+    }
+}
+
+// Export for use in other modules
+window.GitHubResponseCache = GitHubResponseCache;
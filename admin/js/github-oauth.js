@@ -0,0 +1,150 @@
+/**
+ * GitHub OAuth Device Flow for HarryTien Admin Dashboard
+ * Signs in without a personal access token: GitHub shows the owner a code to
+ * enter at github.com/login/device, and the dashboard polls until it is approved.
+ * https://docs.github.com/en/apps/oauth-apps/building-oauth-apps/authorizing-oauth-apps#device-flow
+ */
+
+/**
+ * Error raised when the device flow ends without a token.
+ * code is GitHub's error code, e.g. 'access_denied' or 'expired_token'.
+ */
+class GitHubDeviceFlowError extends Error {
+    constructor(message, code = null) {
+        super(message);
+        this.name = 'GitHubDeviceFlowError';
+        this.code = code;
+    }
+}
+
+class GitHubDeviceFlow {
+    /**
+     * @param {object} options
+     *   clientId: client ID of an OAuth App with device flow enabled,
+     *   baseUrl: where github.com's /login endpoints are reached. They send no
+     *   CORS headers, so a browser has to go through a proxy: admin/dev-server.js
+     *   serves one at /__github, and admin/github-oauth-proxy.js can be deployed
+     *   as one for the live site.
+     *   scope: scopes requested for the token
+     */
+    constructor({ clientId = null, baseUrl = '/__github', scope = 'public_repo workflow' } = {}) {
+        this.clientId = clientId;
+        this.baseUrl = baseUrl;
+        this.scope = scope;
+        this.grantType = 'urn:ietf:params:oauth:grant-type:device_code';
+    }
+
+    isConfigured() {
+        return !!(this.clientId && this.baseUrl);
+    }
+
+    /**
+     * Start a sign-in
+     * @returns {Promise<{deviceCode, userCode, verificationUri, expiresAt, interval}>}
+     *   interval is the minimum wait between polls in milliseconds
+     */
+    async requestCode() {
+        const data = await this.post('/login/device/code', {
+            client_id: this.clientId,
+            scope: this.scope
+        });
+
+        return {
+            deviceCode: data.device_code,
+            userCode: data.user_code,
+            verificationUri: data.verification_uri,
+            expiresAt: Date.now() + data.expires_in * 1000,
+            interval: (data.interval || 5) * 1000
+        };
+    }
+
+    /**
+     * Poll until the code from requestCode() is approved
+     * @param {object} options
+     *   signal: AbortSignal that stops polling
+     * @returns {Promise<{accessToken, scopes, expiresAt}>} expiresAt is null for
+     *   tokens that do not expire
+     * @throws {GitHubDeviceFlowError} when the code is denied or expires
+     */
+    async pollForToken(code, { signal } = {}) {
+        let interval = code.interval;
+
+        while (Date.now() < code.expiresAt) {
+            await this.wait(interval, signal);
+
+            const data = await this.post('/login/oauth/access_token', {
+                client_id: this.clientId,
+                device_code: code.deviceCode,
+                grant_type: this.grantType
+            });
+
+            if (data.access_token) {
+                return {
+                    accessToken: data.access_token,
+                    scopes: (data.scope || '').split(',').filter(Boolean),
+                    expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null
+                };
+            }
+
+            switch (data.error) {
+                case 'authorization_pending':
+                    break;
+                case 'slow_down':
+                    // GitHub sends the new interval; without one, add the 5 seconds it asks for
+                    interval = data.interval ? data.interval * 1000 : interval + 5000;
+                    break;
+                case 'access_denied':
+                    throw new GitHubDeviceFlowError('Sign-in was cancelled on GitHub', data.error);
+                case 'expired_token':
+                    throw new GitHubDeviceFlowError('The sign-in code expired. Please start again.', data.error);
+                default:
+                    throw new GitHubDeviceFlowError(data.error_description || `GitHub sign-in failed: ${data.error}`, data.error);
+            }
+        }
+
+        throw new GitHubDeviceFlowError('The sign-in code expired. Please start again.', 'expired_token');
+    }
+
+    async post(path, params) {
+        let response;
+        try {
+            response = await fetch(`${this.baseUrl}${path}`, {
+                method: 'POST',
+                headers: {
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(params)
+            });
+        } catch (error) {
+            throw new GitHubDeviceFlowError('GitHub sign-in is not reachable from this page');
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok && !data.error) {
+            throw new GitHubDeviceFlowError(data.message || `GitHub sign-in failed: ${response.status}`);
+        }
+        return data;
+    }
+
+    /**
+     * Resolve after ms, or reject with an AbortError when signal aborts
+     */
+    wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('Sign-in cancelled', 'AbortError'));
+                return;
+            }
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new DOMException('Sign-in cancelled', 'AbortError'));
+            }, { once: true });
+        });
+    }
+}
+
+// Export for use in other modules
+window.GitHubDeviceFlowError = GitHubDeviceFlowError;
+window.GitHubDeviceFlow = GitHubDeviceFlow;
@@ -0,0 +1,132 @@
+/**
+ * Image Processor for HarryTien Admin Dashboard
+ * Resizes and re-encodes images in the browser before upload: drops EXIF/GPS
+ * metadata, prefers AVIF/WebP over JPEG and renders responsive width variants
+ */
+
+class ImageProcessor {
+    /**
+     * @param {object} options
+     *   maxWidth / maxHeight: bounds for the main image,
+     *   widths: responsive variant widths (only those smaller than the main image are made),
+     *   formats: encodings to try in order, falling back to JPEG, quality: 0-1 for lossy formats,
+     *   maxInputSize: bytes a file may have before it is refused without decoding
+     */
+    constructor({
+        maxWidth = 1600, maxHeight = 1600, widths = [480, 960, 1600],
+        formats = ['image/avif', 'image/webp'], quality = 0.82, maxInputSize = 25 * 1024 * 1024
+    } = {}) {
+        this.maxWidth = maxWidth;
+        this.maxHeight = maxHeight;
+        this.widths = widths;
+        this.formats = formats;
+        this.quality = quality;
+        this.maxInputSize = maxInputSize;
+        this.outputType = null;
+        this.extensions = { 'image/avif': 'avif', 'image/webp': 'webp', 'image/jpeg': 'jpg' };
+    }
+
+    /**
+     * Vector and animated images are uploaded as they are
+     */
+    canProcess(file) {
+        return /^image\/(jpeg|png|webp|avif|bmp)$/.test(file.type);
+    }
+
+    /**
+     * Process an image file
+     * @returns {Promise<{file: File, width: number|null, height: number|null, variants: Array<{file: File, width: number}>}>}
+     *   variant file names end in -<width>w, e.g. photo-480w.webp
+     */
+    async process(file) {
+        if (file.size > this.maxInputSize) {
+            throw new Error(`${file.name} is larger than ${Math.round(this.maxInputSize / (1024 * 1024))}MB`);
+        }
+        if (!this.canProcess(file)) {
+            return { file, width: null, height: null, variants: [] };
+        }
+
+        // Canvas output carries no metadata, so orientation has to be applied while decoding
+        const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+
+        try {
+            const scale = Math.min(1, this.maxWidth / bitmap.width, this.maxHeight / bitmap.height);
+            const width = Math.round(bitmap.width * scale);
+            const height = Math.round(bitmap.height * scale);
+            const type = await this.getOutputType();
+            const baseName = file.name.replace(/\.[^/.]+$/, '');
+
+            const main = await this.encode(bitmap, width, height, type, `${baseName}.${this.extensions[type]}`);
+
+            const variants = [];
+            for (const variantWidth of this.widths.filter(w => w < width)) {
+                const variantHeight = Math.round(height * variantWidth / width);
+                variants.push({
+                    width: variantWidth,
+                    file: await this.encode(bitmap, variantWidth, variantHeight, type, `${baseName}-${variantWidth}w.${this.extensions[type]}`)
+                });
+            }
+
+            return { file: main, width, height, variants };
+        } finally {
+            bitmap.close();
+        }
+    }
+
+    /**
+     * First format in this.formats the browser can encode, else JPEG
+     */
+    async getOutputType() {
+        if (!this.outputType) {
+            this.outputType = 'image/jpeg';
+            for (const type of this.formats) {
+                // Unsupported types silently come back as PNG
+                const blob = await this.toBlob(this.createCanvas(1, 1), type);
+                if (blob && blob.type === type) {
+                    this.outputType = type;
+                    break;
+                }
+            }
+        }
+        return this.outputType;
+    }
+
+    async encode(bitmap, width, height, type, name) {
+        const canvas = this.createCanvas(width, height);
+        const context = canvas.getContext('2d');
+
+        // JPEG has no alpha channel; transparent areas would turn black
+        if (type === 'image/jpeg') {
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, width, height);
+        }
+        context.imageSmoothingQuality = 'high';
+        context.drawImage(bitmap, 0, 0, width, height);
+
+        const blob = await this.toBlob(canvas, type, this.quality);
+        if (!blob) {
+            throw new Error(`Failed to encode ${name}`);
+        }
+        return new File([blob], name, { type: blob.type });
+    }
+
+    createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    toBlob(canvas, type, quality) {
+        if (canvas.convertToBlob) {
+            return canvas.convertToBlob({ type, quality }).catch(() => null);
+        }
+        return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+    }
+}
+
+// Export for use in other modules
+window.ImageProcessor = ImageProcessor;
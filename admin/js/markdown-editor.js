@@ -0,0 +1,387 @@
+/**
+ * Markdown Editor for HarryTien Admin Dashboard
+ * Split-pane post editor: formatting toolbar, keyboard shortcuts, live preview
+ * styled by the site's own stylesheet, synchronized scrolling and word count
+ */
+
+class MarkdownEditor {
+    /**
+     * @param {HTMLTextAreaElement} textarea - The markdown source
+     * @param {object} options
+     *   preview: iframe for the rendered post, toolbar: element with [data-md-action] buttons,
+     *   status: element for word count / read time, stylesheet: site CSS used by _layouts/post.html,
+     *   onStats: called with { words, readTime } whenever the text changes,
+     *   onImageFile: async (file) => ({ url, alt }) for images pasted or dropped into the text,
+     *   resolveImageUrl: (src) => url the preview should load instead (e.g. an object URL), or null
+     */
+    constructor(textarea, {
+        preview, toolbar, status, stylesheet = '../assets/css/main.css',
+        onStats = null, onImageFile = null, resolveImageUrl = null
+    } = {}) {
+        this.textarea = textarea;
+        this.preview = preview;
+        this.toolbar = toolbar;
+        this.status = status;
+        this.stylesheet = stylesheet;
+        this.onStats = onStats;
+        this.onImageFile = onImageFile;
+        this.resolveImageUrl = resolveImageUrl;
+        this.uploadCount = 0;
+        this.renderTimer = null;
+        this.scrollSource = null;
+        this.wordsPerMinute = 200;
+
+        this.shortcuts = {
+            'ctrl+b': 'bold',
+            'ctrl+i': 'italic',
+            'ctrl+k': 'link',
+            'ctrl+e': 'code',
+            'ctrl+alt+c': 'codeBlock',
+            'ctrl+alt+1': 'heading1',
+            'ctrl+alt+2': 'heading2',
+            'ctrl+alt+3': 'heading3',
+            'ctrl+shift+.': 'quote',
+            'ctrl+shift+8': 'bulletList',
+            'ctrl+shift+7': 'numberedList'
+        };
+
+        this.initPreview();
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.textarea.addEventListener('input', () => this.scheduleRender());
+        this.textarea.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.textarea.addEventListener('scroll', () => this.syncScroll(this.textarea));
+        this.textarea.addEventListener('paste', (e) => this.handlePaste(e));
+        this.textarea.addEventListener('dragover', (e) => this.handleDragOver(e));
+        this.textarea.addEventListener('dragleave', () => this.textarea.classList.remove('drag-over'));
+        this.textarea.addEventListener('drop', (e) => this.handleDrop(e));
+
+        this.toolbar?.querySelectorAll('[data-md-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.runAction(button.dataset.mdAction);
+                this.textarea.focus();
+            });
+        });
+    }
+
+    /**
+     * Empty post page inside the iframe; only the content element changes on render
+     */
+    initPreview() {
+        if (!this.preview) return;
+
+        this.preview.srcdoc = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="UTF-8">
+    <link rel="stylesheet" href="${this.stylesheet}">
+    <style>body { padding: 1.5rem; margin: 0; }</style>
+</head>
+<body>
+    <article class="blog-post">
+        <div class="blog-post__content" id="preview-content"></div>
+    </article>
+</body>
+</html>`;
+
+        this.preview.addEventListener('load', () => {
+            this.preview.contentWindow.addEventListener('scroll', () => this.syncScroll(this.preview));
+            this.render();
+        });
+    }
+
+    /**
+     * Re-render after the textarea value was set from code
+     */
+    refresh() {
+        this.render();
+        this.textarea.scrollTop = 0;
+    }
+
+    scheduleRender() {
+        clearTimeout(this.renderTimer);
+        this.renderTimer = setTimeout(() => this.render(), 150);
+    }
+
+    render() {
+        const markdown = this.textarea.value;
+        const content = this.preview?.contentDocument?.getElementById('preview-content');
+        if (content) {
+            content.innerHTML = window.marked
+                ? window.marked.parse(markdown)
+                : `<pre>${markdown.replace(/[&<>]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' }[char]))}</pre>`;
+
+            if (this.resolveImageUrl) {
+                content.querySelectorAll('img').forEach(img => {
+                    const resolved = this.resolveImageUrl(img.getAttribute('src'));
+                    if (resolved) img.src = resolved;
+                });
+            }
+        }
+        this.updateStats(markdown);
+    }
+
+    // ============================================
+    // Word Count
+    // ============================================
+
+    /**
+     * Count words of the readable text (link targets and markdown symbols are skipped)
+     */
+    countWords(markdown) {
+        const text = markdown
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/[#>*_`~|-]+/g, ' ');
+        return (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’.]*/gu) || []).length;
+    }
+
+    updateStats(markdown) {
+        const words = this.countWords(markdown);
+        const readTime = `${Math.max(1, Math.ceil(words / this.wordsPerMinute))} min read`;
+
+        if (this.status) {
+            this.status.textContent = `${words} word${words !== 1 ? 's' : ''} · ${readTime}`;
+        }
+        if (this.onStats) {
+            this.onStats({ words, readTime });
+        }
+    }
+
+    // ============================================
+    // Synchronized Scrolling
+    // ============================================
+
+    /**
+     * Scroll the other pane to the same relative position
+     */
+    syncScroll(source) {
+        if (this.scrollSource && this.scrollSource !== source) return;
+        const previewElement = this.preview?.contentDocument?.scrollingElement;
+        if (!previewElement) return;
+
+        const [from, to] = source === this.textarea
+            ? [this.textarea, previewElement]
+            : [previewElement, this.textarea];
+
+        const ratio = from.scrollTop / Math.max(1, from.scrollHeight - from.clientHeight);
+        this.scrollSource = source;
+        to.scrollTop = ratio * (to.scrollHeight - to.clientHeight);
+
+        // Ignore the scroll event the line above causes on the other pane
+        requestAnimationFrame(() => {
+            this.scrollSource = null;
+        });
+    }
+
+    // ============================================
+    // Image Paste & Drop
+    // ============================================
+
+    imageFiles(dataTransfer) {
+        return Array.from(dataTransfer?.files || []).filter(file => file.type.startsWith('image/'));
+    }
+
+    handlePaste(e) {
+        const files = this.imageFiles(e.clipboardData);
+        if (files.length === 0 || !this.onImageFile) return;
+
+        e.preventDefault();
+        files.forEach(file => this.insertImageFile(file));
+    }
+
+    handleDragOver(e) {
+        if (this.onImageFile && Array.from(e.dataTransfer?.types || []).includes('Files')) {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            this.textarea.classList.add('drag-over');
+        }
+    }
+
+    handleDrop(e) {
+        this.textarea.classList.remove('drag-over');
+        const files = this.imageFiles(e.dataTransfer);
+        if (files.length === 0 || !this.onImageFile) return;
+
+        e.preventDefault();
+        files.forEach(file => this.insertImageFile(file));
+    }
+
+    /**
+     * Insert a placeholder at the cursor and swap it for the image markdown
+     * once onImageFile has a URL for the file
+     */
+    async insertImageFile(file) {
+        const placeholder = `![Uploading ${file.name.replace(/[[\]]/g, '')}…](uploading-${++this.uploadCount})`;
+        const { selectionStart: start, selectionEnd: end } = this.textarea;
+        this.replaceRange(start, end, placeholder, start + placeholder.length, start + placeholder.length);
+
+        let markdown = '';
+        try {
+            const { url, alt } = await this.onImageFile(file);
+            markdown = `![${alt}](${url})`;
+        } catch (error) {
+            console.error('Image upload failed:', error);
+        }
+
+        // The text may have changed meanwhile, so look the placeholder up again
+        const index = this.textarea.value.indexOf(placeholder);
+        if (index !== -1) {
+            this.textarea.setRangeText(markdown, index, index + placeholder.length, 'preserve');
+            this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+    }
+
+    // ============================================
+    // Formatting
+    // ============================================
+
+    handleKeydown(e) {
+        if (!(e.ctrlKey || e.metaKey)) return;
+
+        // Physical keys, so Shift+8 and Ctrl+Alt+2 work on any layout
+        const key = e.code.startsWith('Digit') ? e.code.slice(5) : (e.code === 'Period' ? '.' : e.key.toLowerCase());
+        const combo = ['ctrl', e.altKey ? 'alt' : null, e.shiftKey ? 'shift' : null, key].filter(Boolean).join('+');
+
+        const action = this.shortcuts[combo];
+        if (action) {
+            e.preventDefault();
+            this.runAction(action);
+        }
+    }
+
+    runAction(action) {
+        switch (action) {
+            case 'heading1':
+            case 'heading2':
+            case 'heading3':
+                this.toggleLinePrefix(`${'#'.repeat(Number(action.slice(-1)))} `, /^#{1,6} /);
+                break;
+            case 'heading':
+                this.cycleHeading();
+                break;
+            case 'bold':
+                this.wrapSelection('**', '**', 'bold text');
+                break;
+            case 'italic':
+                this.wrapSelection('_', '_', 'italic text');
+                break;
+            case 'code':
+                this.wrapSelection('`', '`', 'code');
+                break;
+            case 'link':
+                this.wrapSelection('[', '](https://)', 'link text');
+                break;
+            case 'image':
+                this.wrapSelection('![', '](/src/assets/images/)', 'alt text');
+                break;
+            case 'codeBlock':
+                this.insertBlock(`\`\`\`\n${this.selectedText() || 'code'}\n\`\`\``);
+                break;
+            case 'quote':
+                this.toggleLinePrefix('> ', /^> /);
+                break;
+            case 'bulletList':
+                this.toggleLinePrefix('- ', /^[-*+] /);
+                break;
+            case 'numberedList':
+                this.toggleLinePrefix('1. ', /^\d+\. /);
+                break;
+            case 'table':
+                this.insertBlock('| Column 1 | Column 2 |\n| -------- | -------- |\n| Cell     | Cell     |');
+                break;
+        }
+    }
+
+    selectedText() {
+        return this.textarea.value.slice(this.textarea.selectionStart, this.textarea.selectionEnd);
+    }
+
+    /**
+     * Replace a range keeping the browser's undo history when possible
+     */
+    replaceRange(start, end, text, selectStart, selectEnd) {
+        this.textarea.focus();
+        this.textarea.setSelectionRange(start, end);
+        if (!document.execCommand('insertText', false, text)) {
+            this.textarea.setRangeText(text, start, end, 'end');
+            this.textarea.dispatchEvent(new Event('input', { bubbles: true }));
+        }
+        this.textarea.setSelectionRange(selectStart, selectEnd);
+    }
+
+    /**
+     * Wrap the selection (or a placeholder) in before/after; unwrap if already wrapped
+     */
+    wrapSelection(before, after, placeholder) {
+        const { selectionStart: start, selectionEnd: end, value } = this.textarea;
+        const selected = value.slice(start, end);
+
+        if (value.slice(start - before.length, start) === before && value.slice(end, end + after.length) === after) {
+            this.replaceRange(start - before.length, end + after.length, selected, start - before.length, end - before.length);
+            return;
+        }
+
+        const text = selected || placeholder;
+        this.replaceRange(start, end, before + text + after, start + before.length, start + before.length + text.length);
+    }
+
+    /**
+     * Lines touched by the selection
+     */
+    selectedLines() {
+        const { selectionStart, selectionEnd, value } = this.textarea;
+        const start = value.lastIndexOf('\n', selectionStart - 1) + 1;
+        const lineEnd = value.indexOf('\n', selectionEnd);
+        const end = lineEnd === -1 ? value.length : lineEnd;
+        return { start, end, lines: value.slice(start, end).split('\n') };
+    }
+
+    /**
+     * Add prefix to every selected line, or remove it if all of them already have it
+     */
+    toggleLinePrefix(prefix, pattern) {
+        const { start, end, lines } = this.selectedLines();
+        const isNumbered = prefix === '1. ';
+        const hasPrefix = lines.every(line => (isNumbered ? pattern.test(line) : line.startsWith(prefix)));
+
+        const text = lines.map((line, index) => {
+            if (hasPrefix) return line.replace(pattern, '');
+            const bare = line.replace(pattern, '');
+            return isNumbered ? `${index + 1}. ${bare}` : prefix + bare;
+        }).join('\n');
+
+        this.replaceRange(start, end, text, start, start + text.length);
+    }
+
+    /**
+     * ## -> ### -> plain paragraph -> ##
+     */
+    cycleHeading() {
+        const { lines } = this.selectedLines();
+        const level = (lines[0].match(/^(#{1,6}) /) || [, ''])[1].length;
+        // Toggling "### " on an h3 removes it
+        this.toggleLinePrefix(level === 2 || level === 3 ? '### ' : '## ', /^#{1,6} /);
+    }
+
+    /**
+     * Insert a block on its own, separated from surrounding text by blank lines
+     */
+    insertBlock(block) {
+        const { selectionStart: start, selectionEnd: end, value } = this.textarea;
+        const before = value.slice(0, start);
+        const after = value.slice(end);
+        const leading = before === '' || before.endsWith('\n\n') ? '' : (before.endsWith('\n') ? '\n' : '\n\n');
+        const trailing = after === '' || after.startsWith('\n\n') ? '' : (after.startsWith('\n') ? '\n' : '\n\n');
+
+        const text = leading + block + trailing;
+        const blockStart = start + leading.length;
+        this.replaceRange(start, end, text, blockStart, blockStart + block.length);
+    }
+}
+
+// Export for use in other modules
+window.MarkdownEditor = MarkdownEditor;
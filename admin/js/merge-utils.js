@@ -0,0 +1,161 @@
+/**
+ * Merge Utilities for HarryTien Admin Dashboard
+ * Line diffs and three-way merges used to resolve post edit conflicts
+ */
+
+class MergeUtils {
+    /**
+     * Match lines of a against lines of b using their longest common subsequence
+     * @returns {number[]} - For each line in a, the index of its match in b or -1
+     */
+    matchLines(a, b) {
+        const n = a.length;
+        const m = b.length;
+        const lengths = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lengths[i][j] = a[i] === b[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const matches = new Array(n).fill(-1);
+        let i = 0;
+        let j = 0;
+        while (i < n && j < m) {
+            if (a[i] === b[j]) {
+                matches[i] = j;
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Three-way merge of text, split into hunks
+     * @returns {object[]} - Hunks of type stable, same, mine, theirs or conflict
+     */
+    threeWayMerge(baseText, mineText, theirsText) {
+        const base = baseText.split('\n');
+        const mine = mineText.split('\n');
+        const theirs = theirsText.split('\n');
+
+        const toMine = this.matchLines(base, mine);
+        const toTheirs = this.matchLines(base, theirs);
+
+        const hunks = [];
+        let b = 0;
+        let m = 0;
+        let t = 0;
+
+        // Lines kept by both sides are anchors; everything between two anchors is one chunk
+        for (let i = 0; i <= base.length; i++) {
+            const isEnd = i === base.length;
+            if (!isEnd && (toMine[i] === -1 || toTheirs[i] === -1)) {
+                continue;
+            }
+
+            const mineEnd = isEnd ? mine.length : toMine[i];
+            const theirsEnd = isEnd ? theirs.length : toTheirs[i];
+            const chunk = {
+                base: base.slice(b, i),
+                mine: mine.slice(m, mineEnd),
+                theirs: theirs.slice(t, theirsEnd)
+            };
+
+            if (chunk.base.length || chunk.mine.length || chunk.theirs.length) {
+                hunks.push(this.resolveChunk(chunk));
+            }
+
+            if (!isEnd) {
+                const last = hunks[hunks.length - 1];
+                if (last && last.type === 'stable') {
+                    last.lines.push(base[i]);
+                } else {
+                    hunks.push({ type: 'stable', lines: [base[i]] });
+                }
+                b = i + 1;
+                m = mineEnd + 1;
+                t = theirsEnd + 1;
+            }
+        }
+
+        return hunks;
+    }
+
+    /**
+     * Decide which side of a changed chunk wins, if any
+     */
+    resolveChunk(chunk) {
+        const same = (a, b) => a.join('\n') === b.join('\n');
+
+        if (same(chunk.mine, chunk.theirs)) {
+            return { type: 'same', lines: chunk.mine, ...chunk };
+        }
+        if (same(chunk.mine, chunk.base)) {
+            return { type: 'theirs', lines: chunk.theirs, ...chunk };
+        }
+        if (same(chunk.theirs, chunk.base)) {
+            return { type: 'mine', lines: chunk.mine, ...chunk };
+        }
+        return { type: 'conflict', lines: null, ...chunk };
+    }
+
+    /**
+     * Build merged text from hunks
+     * @param {object[]} hunks - Result of threeWayMerge
+     * @param {object} choices - Hunk index -> 'mine', 'theirs' or 'both' for conflicts
+     */
+    applyHunks(hunks, choices = {}) {
+        const lines = [];
+        hunks.forEach((hunk, index) => {
+            if (hunk.type !== 'conflict') {
+                lines.push(...hunk.lines);
+                return;
+            }
+
+            const choice = choices[index] || 'mine';
+            if (choice === 'mine' || choice === 'both') {
+                lines.push(...hunk.mine);
+            }
+            if (choice === 'theirs' || choice === 'both') {
+                lines.push(...hunk.theirs);
+            }
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Three-way merge of individual fields (e.g. post front matter)
+     * @returns {object[]} - One entry per key with the auto-merged value or a conflict flag
+     */
+    mergeFields(base, mine, theirs, keys) {
+        const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+        return keys.map(key => {
+            const field = { key, base: base[key], mine: mine[key], theirs: theirs[key], conflict: false };
+
+            if (same(field.mine, field.theirs) || same(field.theirs, field.base)) {
+                field.value = field.mine;
+            } else if (same(field.mine, field.base)) {
+                field.value = field.theirs;
+            } else {
+                field.conflict = true;
+                field.value = field.mine;
+            }
+
+            return field;
+        });
+    }
+}
+
+// Export for use in other modules
+window.MergeUtils = MergeUtils;
@@ -0,0 +1,434 @@
+/**
+ * Storage Adapters for HarryTien Admin Dashboard
+ * Backends for the repository file operations used by GitHubAPI
+ *
+ * Every adapter implements the same interface:
+ *   getFileContent(path)                             -> { content, sha, path } | null
+ *   getDirectoryContents(path)                       -> [{ name, path, sha, size, type }]
+ *   createOrUpdateFile(path, content, message, sha)
+ *   deleteFile(path, message, sha)
+ *   uploadImage(path, base64Content, message)
+ *   commitChanges(changes, message)                  -> all staged GitTransaction changes at once
+ *
+ * File content is returned as text decoded from UTF-8, the encoding every
+ * write uses, and sha is the git blob sha, so posts loaded from any backend
+ * look the same to the admin.
+ */
+
+/**
+ * Bytes of base64 content (a data URL prefix is dropped)
+ */
+function base64ToBytes(base64) {
+    const binary = atob(base64.replace(/^data:[^;]+;base64,/, ''));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Text of base64 encoded UTF-8 file content
+ */
+function decodeBase64Text(base64) {
+    return new TextDecoder().decode(base64ToBytes(base64));
+}
+
+/**
+ * Default backend: the repository on GitHub via the REST API
+ */
+class GitHubStorageAdapter {
+    constructor(api) {
+        this.api = api;
+    }
+
+    get repoPath() {
+        return `/repos/${this.api.owner}/${this.api.repo}`;
+    }
+
+    /**
+     * Get file content from repository
+     */
+    async getFileContent(path) {
+        let data;
+        try {
+            data = await this.api.request(`${this.repoPath}/contents/${path}?ref=${this.api.branch}`);
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+
+        if (data.content) {
+            return {
+                content: decodeBase64Text(data.content),
+                sha: data.sha,
+                path: data.path
+            };
+        }
+        return data;
+    }
+
+    /**
+     * Get all files in a directory
+     */
+    async getDirectoryContents(path) {
+        try {
+            return await this.api.request(`${this.repoPath}/contents/${path}?ref=${this.api.branch}`);
+        } catch (error) {
+            if (error.status === 404 || error.message.includes('404')) {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Create or update a file
+     */
+    async createOrUpdateFile(path, content, message, sha = null) {
+        const body = {
+            message,
+            content: btoa(unescape(encodeURIComponent(content))),
+            branch: this.api.branch
+        };
+
+        if (sha) {
+            body.sha = sha;
+        }
+
+        return await this.api.request(`${this.repoPath}/contents/${path}`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * Delete a file
+     */
+    async deleteFile(path, message, sha) {
+        return await this.api.request(`${this.repoPath}/contents/${path}`, {
+            method: 'DELETE',
+            body: JSON.stringify({
+                message,
+                sha,
+                branch: this.api.branch
+            })
+        });
+    }
+
+    /**
+     * Upload image file (base64)
+     */
+    async uploadImage(path, base64Content, message) {
+        // Remove data URL prefix if present
+        const content = base64Content.replace(/^data:image\/[a-zA-Z+]+;base64,/, '');
+
+        const body = {
+            message,
+            content,
+            branch: this.api.branch
+        };
+
+        // Check if file exists to get SHA (for updating existing file)
+        try {
+            const existing = await this.getFileContent(path);
+            if (existing && existing.sha) {
+                body.sha = existing.sha;
+            }
+        } catch (e) {
+            // File doesn't exist, that's fine for new uploads
+            console.log('Creating new file:', path);
+        }
+
+        return await this.api.request(`${this.repoPath}/contents/${path}`, {
+            method: 'PUT',
+            body: JSON.stringify(body)
+        });
+    }
+
+    /**
+     * Commit all changes at once through the Git Data API. The branch ref is
+     * only moved after every blob, tree and commit object exists, and without
+     * force, so either the whole change set lands or nothing does.
+     */
+    async commitChanges(changes, message) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.commitOnce(changes, message);
+            } catch (error) {
+                // The branch moved while the commit was built: rebuild on the new head
+                if (error instanceof GitHubConflictError && !error.path && attempt < 3) {
+                    continue;
+                }
+                throw error;
+            }
+        }
+    }
+
+    /**
+     * Build the commit on top of the current branch head and move the ref
+     */
+    async commitOnce(changes, message) {
+        const ref = await this.api.request(`${this.repoPath}/git/ref/heads/${this.api.branch}`);
+        const parentSha = ref.object.sha;
+        const parent = await this.api.request(`${this.repoPath}/git/commits/${parentSha}`);
+
+        await this.verifyExpectations(changes, parent.tree.sha);
+
+        const tree = [];
+        for (const change of changes) {
+            if (change.deleted) {
+                tree.push({ path: change.path, mode: '100644', type: 'blob', sha: null });
+                continue;
+            }
+
+            if (!change.blobSha) {
+                const blob = await this.api.request(`${this.repoPath}/git/blobs`, {
+                    method: 'POST',
+                    body: JSON.stringify({ content: change.content, encoding: change.encoding })
+                });
+                change.blobSha = blob.sha;
+            }
+            tree.push({ path: change.path, mode: '100644', type: 'blob', sha: change.blobSha });
+        }
+
+        const newTree = await this.api.request(`${this.repoPath}/git/trees`, {
+            method: 'POST',
+            body: JSON.stringify({ base_tree: parent.tree.sha, tree })
+        });
+
+        const commit = await this.api.request(`${this.repoPath}/git/commits`, {
+            method: 'POST',
+            body: JSON.stringify({ message, tree: newTree.sha, parents: [parentSha] })
+        });
+
+        await this.api.request(`${this.repoPath}/git/refs/heads/${this.api.branch}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ sha: commit.sha, force: false })
+        });
+
+        return commit;
+    }
+
+    /**
+     * Make sure files staged with an expectedSha were not changed on GitHub,
+     * and ones staged with expectedSha null were not created there
+     */
+    async verifyExpectations(changes, treeSha) {
+        const expected = changes.filter(change => change.expectedSha !== undefined);
+        if (expected.length === 0) {
+            return;
+        }
+
+        const tree = await this.api.request(`${this.repoPath}/git/trees/${treeSha}?recursive=1`);
+        const current = new Map(tree.tree.map(entry => [entry.path, entry.sha]));
+
+        for (const change of expected) {
+            if ((current.get(change.path) || null) !== change.expectedSha) {
+                const reason = change.expectedSha ? 'was changed on GitHub' : 'already exists on GitHub';
+                const error = new GitHubConflictError(`${change.path} ${reason}`, { path: change.path });
+                await this.api.attachRemoteVersion(error);
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Files kept in a Map, for tests and offline experiments.
+ * Seed it with { path: textContent } to start from existing content.
+ */
+class MemoryStorageAdapter {
+    constructor(files = {}) {
+        this.files = new Map();
+        this.commits = [];
+        Object.entries(files).forEach(([path, content]) => {
+            this.files.set(path, new TextEncoder().encode(content));
+        });
+    }
+
+    /**
+     * Git blob sha (sha1 of "blob <size>\0<bytes>") so shas match GitHub's
+     */
+    async blobSha(bytes) {
+        const header = new TextEncoder().encode(`blob ${bytes.length}\0`);
+        const data = new Uint8Array(header.length + bytes.length);
+        data.set(header, 0);
+        data.set(bytes, header.length);
+        const hash = await crypto.subtle.digest('SHA-1', data);
+        return Array.from(new Uint8Array(hash)).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    toBytes(content, encoding) {
+        if (encoding === 'base64') {
+            return base64ToBytes(content);
+        }
+        return new TextEncoder().encode(content);
+    }
+
+    async getFileContent(path) {
+        const bytes = this.files.get(path);
+        if (!bytes) {
+            return null;
+        }
+        return {
+            content: new TextDecoder().decode(bytes),
+            sha: await this.blobSha(bytes),
+            path
+        };
+    }
+
+    async getDirectoryContents(path) {
+        const prefix = path.replace(/\/$/, '') + '/';
+        const entries = new Map();
+
+        for (const [filePath, bytes] of this.files) {
+            if (!filePath.startsWith(prefix)) continue;
+
+            const rest = filePath.slice(prefix.length);
+            const name = rest.split('/')[0];
+            if (rest.includes('/')) {
+                entries.set(name, { name, path: prefix + name, type: 'dir', size: 0 });
+            } else {
+                entries.set(name, { name, path: filePath, type: 'file', size: bytes.length, sha: await this.blobSha(bytes) });
+            }
+        }
+
+        return Array.from(entries.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async assertSha(path, sha) {
+        const current = await this.getFileContent(path);
+        if ((current ? current.sha : null) !== (sha || null)) {
+            throw new GitHubConflictError(`${path} does not match ${sha || 'a new file'}`, { path, remote: current });
+        }
+    }
+
+    async createOrUpdateFile(path, content, message, sha = null) {
+        if (this.files.has(path) || sha) {
+            await this.assertSha(path, sha);
+        }
+        return await this.commitChanges([{ path, content, encoding: 'utf-8' }], message);
+    }
+
+    async deleteFile(path, message, sha) {
+        await this.assertSha(path, sha);
+        return await this.commitChanges([{ path, deleted: true }], message);
+    }
+
+    async uploadImage(path, base64Content, message) {
+        return await this.commitChanges([{ path, content: base64Content, encoding: 'base64' }], message);
+    }
+
+    async commitChanges(changes, message) {
+        for (const change of changes) {
+            if (change.expectedSha !== undefined) {
+                await this.assertSha(change.path, change.expectedSha);
+            }
+        }
+
+        changes.forEach(change => {
+            if (change.deleted) {
+                this.files.delete(change.path);
+            } else {
+                this.files.set(change.path, this.toBytes(change.content, change.encoding));
+            }
+        });
+
+        const commit = { message, paths: changes.map(change => change.path), date: new Date().toISOString() };
+        this.commits.push(commit);
+        return commit;
+    }
+}
+
+/**
+ * A Jekyll checkout on disk, served by admin/dev-server.js
+ */
+class LocalDirectoryStorageAdapter {
+    constructor(baseUrl = '/__storage') {
+        this.baseUrl = baseUrl.replace(/\/$/, '');
+    }
+
+    async request(endpoint, options = {}) {
+        const response = await fetch(`${this.baseUrl}${endpoint}`, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...options.headers }
+        });
+
+        if (!response.ok) {
+            const error = await response.json().catch(() => ({}));
+            const message = error.message || `Local storage error: ${response.status}`;
+            if (response.status === 409) {
+                throw new GitHubConflictError(message, { path: error.path || null, remote: error.remote || null });
+            }
+            throw new GitHubAPIError(message, response.status);
+        }
+
+        const text = await response.text();
+        return text ? JSON.parse(text) : null;
+    }
+
+    /**
+     * Throws unless admin/dev-server.js answers at baseUrl
+     */
+    async ping() {
+        const data = await this.request('/ping').catch(() => null);
+        if (!data?.ok) {
+            throw new Error(`no dev server at ${this.baseUrl}`);
+        }
+    }
+
+    async getFileContent(path) {
+        try {
+            const data = await this.request(`/files?path=${encodeURIComponent(path)}`);
+            return { content: decodeBase64Text(data.content), sha: data.sha, path: data.path };
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async getDirectoryContents(path) {
+        try {
+            return await this.request(`/directory?path=${encodeURIComponent(path)}`);
+        } catch (error) {
+            if (error.status === 404) {
+                return [];
+            }
+            throw error;
+        }
+    }
+
+    async createOrUpdateFile(path, content, message, sha = null) {
+        return await this.request('/files', {
+            method: 'PUT',
+            body: JSON.stringify({ path, content, encoding: 'utf-8', message, sha })
+        });
+    }
+
+    async deleteFile(path, message, sha) {
+        return await this.request(`/files?path=${encodeURIComponent(path)}&sha=${encodeURIComponent(sha || '')}`, {
+            method: 'DELETE'
+        });
+    }
+
+    async uploadImage(path, base64Content, message) {
+        const content = base64Content.replace(/^data:[^;]+;base64,/, '');
+        return await this.request('/files', {
+            method: 'PUT',
+            body: JSON.stringify({ path, content, encoding: 'base64', message, overwrite: true })
+        });
+    }
+
+    async commitChanges(changes, message) {
+        return await this.request('/commit', {
+            method: 'POST',
+            body: JSON.stringify({ message, changes })
+        });
+    }
+}
+
+// Export for use in other modules
+window.GitHubStorageAdapter = GitHubStorageAdapter;
+window.MemoryStorageAdapter = MemoryStorageAdapter;
+window.LocalDirectoryStorageAdapter = LocalDirectoryStorageAdapter;
@@ -1,6 +1,13 @@
 // Blog Manager Component - Markdown Edition
+import { FrontMatter } from '../utils/FrontMatter.js';
+import { escapeHtml } from '../utils/format.js';
+
 export class BlogManager {
   constructor() {
+    this.frontMatter = new FrontMatter();
+    // Post summaries from the content index (api/posts.json), newest first
+    this.posts = [];
+
     // Check if marked.js is available
     if (typeof window !== 'undefined' && window.marked) {
       this.marked = window.marked;
@@ -85,53 +92,22 @@ export class BlogManager {
    * Parse frontmatter from markdown content
    */
   parseFrontmatter(content) {
-    const lines = content.split('\n');
-    
-    // Check if content starts with frontmatter delimiter
-    if (lines[0] !== '---') {
-      return { 
-        frontmatter: this.getDefaultFrontmatter(), 
-        content: content 
-      };
-    }
-    
-    // Find the end of frontmatter
-    let endIndex = -1;
-    for (let i = 1; i < lines.length; i++) {
-      if (lines[i] === '---') {
-        endIndex = i;
-        break;
-      }
-    }
-    
-    if (endIndex === -1) {
-      return { 
-        frontmatter: this.getDefaultFrontmatter(), 
-        content: content 
-      };
-    }
-    
-    // Parse frontmatter lines
-    const frontmatterLines = lines.slice(1, endIndex);
-    const contentLines = lines.slice(endIndex + 1);
-    
-    const frontmatter = {};
-    
-    frontmatterLines.forEach(line => {
-      const colonIndex = line.indexOf(':');
-      if (colonIndex > 0) {
-        const key = line.substring(0, colonIndex).trim();
-        const value = line.substring(colonIndex + 1).trim().replace(/^["']|["']$/g, '');
-        frontmatter[key] = value;
-      }
-    });
-    
+    const { data, body } = this.frontMatter.parse(content);
+
     return {
-      frontmatter: { ...this.getDefaultFrontmatter(), ...frontmatter },
-      content: contentLines.join('\n')
+      frontmatter: { ...this.getDefaultFrontmatter(), ...data },
+      content: body
     };
   }
 
+  /**
+   * Normalize a tags value (YAML list or comma separated string) to an array
+   */
+  getTagList(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return list.map(tag => String(tag).trim()).filter(tag => tag.length > 0);
+  }
+
   /**
    * Get default frontmatter values
    */
@@ -141,7 +117,7 @@ export class BlogManager {
       description: 'A blog post',
       date: new Date().toLocaleDateString(),
       readTime: '1 min read',
-      tags: ''
+      tags: []
     };
   }
 
@@ -193,10 +169,10 @@ export class BlogManager {
     if (frontmatter.tags) {
       const tagsElement = document.getElementById('post-tags');
       if (tagsElement) {
-        const tags = frontmatter.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        const tags = this.getTagList(frontmatter.tags);
         if (tags.length > 0) {
           tagsElement.innerHTML = tags.map(tag => 
-            `<span class="tag">${this.escapeHtml(tag)}</span>`
+            `<span class="tag">${escapeHtml(tag)}</span>`
           ).join('');
           tagsElement.style.display = 'block';
         }
@@ -238,22 +214,13 @@ export class BlogManager {
       contentElement.innerHTML = `
         <div class="error-message">
           <h3>Oops! Something went wrong</h3>
-          <p>${this.escapeHtml(message)}</p>
+          <p>${escapeHtml(message)}</p>
           <p><a href="../blog.html" class="btn btn--outline">← Back to Blog</a></p>
         </div>
       `;
     }
   }
 
-  /**
-   * Escape HTML to prevent XSS
-   */
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
-  }
-
   /**
    * Format date for display
    */
@@ -287,7 +254,7 @@ export class BlogManager {
         description: parseResult.frontmatter.description,
         date: parseResult.frontmatter.date,
         readTime: parseResult.frontmatter.readTime,
-        tags: parseResult.frontmatter.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0),
+        tags: this.getTagList(parseResult.frontmatter.tags),
         content: parseResult.content,
         frontmatter: parseResult.frontmatter
       };
@@ -298,10 +265,88 @@ export class BlogManager {
   }
 
   /**
-   * Legacy method for backward compatibility (returns empty array since we're not managing posts in memory)
+   * Get all post summaries
    */
   async getPosts() {
-    console.warn('getPosts() is deprecated. Use getBlogPost() for individual posts.');
-    return [];
+    return [...this.posts];
+  }
+
+  /**
+   * Set post summaries
+   */
+  setPosts(posts) {
+    this.posts = posts.map(post => ({
+      ...post,
+      categories: this.getTagList(post.categories),
+      tags: this.getTagList(post.tags)
+    }));
+  }
+
+  /**
+   * Get a post summary by its URL
+   */
+  getPostByUrl(url) {
+    return this.posts.find(post => post.url === url);
+  }
+
+  /**
+   * Render post summaries to a container, as cards like the blog page's
+   */
+  renderPosts(posts, container) {
+    container.innerHTML = '';
+
+    if (posts.length === 0) {
+      container.innerHTML = `
+        <div class="text-center py-4xl col-span-full">
+          <h3 class="text-xl text-muted mb-base">No posts yet</h3>
+          <p class="text-light">Posts will be displayed here when available.</p>
+        </div>
+      `;
+      return;
+    }
+
+    posts.forEach(post => {
+      container.appendChild(this.createPostElement(post));
+    });
+  }
+
+  /**
+   * Create a post card element
+   */
+  createPostElement(post) {
+    const article = document.createElement('article');
+    article.className = 'blog-post-card';
+    article.dataset.categories = post.categories.join(' ').toLowerCase();
+
+    const image = post.image || '/src/assets/images/default-blog-image.svg';
+
+    article.innerHTML = `
+      <div class="blog-post-card__image" style="background-image: url(&quot;${escapeHtml(image)}&quot;)">
+        <div class="blog-post-card__image-overlay"></div>
+        ${post.categories.length > 0 ? 
+          `<span class="blog-post-card__category">${escapeHtml(post.categories[0])}</span>` : ''
+        }
+      </div>
+      <div class="blog-post-card__content">
+        <div class="blog-post-card__meta">
+          <time class="blog-post-card__date" datetime="${escapeHtml(post.date || '')}">${escapeHtml(this.formatDate(post.date))}</time>
+          ${post.readTime ? `<span class="blog-post-card__read-time">${escapeHtml(post.readTime)}</span>` : ''}
+        </div>
+        <h2 class="blog-post-card__title">
+          <a href="${escapeHtml(post.url)}" class="blog-post-card__link">${escapeHtml(post.title)}</a>
+        </h2>
+        <p class="blog-post-card__excerpt">${escapeHtml(post.description || post.excerpt || '')}</p>
+        ${post.tags.length > 0 ? `
+          <div class="blog-post-card__tags">
+            ${post.tags.map(tag => `<span class="tag">${escapeHtml(tag)}</span>`).join('')}
+          </div>
+        ` : ''}
+        <div class="blog-post-card__footer">
+          <a href="${escapeHtml(post.url)}" class="blog-post-card__read-more">Read More</a>
+        </div>
+      </div>
+    `;
+
+    return article;
   }
 } 
\ No newline at end of file
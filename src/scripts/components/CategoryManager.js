@@ -1,7 +1,12 @@
 // Category Manager Component
+import { escapeHtml, formatPostDate } from '../utils/format.js';
+
 export class CategoryManager {
   constructor() {
     this.categories = [];
+    // Post summaries from the content index, used for listings and counts
+    this.posts = [];
+    this.postsPerPage = 5;
   }
 
   /**
@@ -23,7 +28,41 @@ export class CategoryManager {
    * Set categories
    */
   setCategories(categories) {
-    this.categories = [...categories];
+    // Categories generated from post front matter have no icon or description
+    this.categories = categories.map(category => ({ icon: '📁', description: '', ...category }));
+    this.updatePostCounts();
+  }
+
+  /**
+   * Set the posts that categories list
+   */
+  setPosts(posts) {
+    this.posts = [...posts];
+    this.updatePostCounts();
+  }
+
+  /**
+   * Posts in a category, newest first, or oldest first with sort 'oldest'
+   */
+  getCategoryPosts(category, sort = 'newest') {
+    const name = category.name.toLowerCase();
+    const direction = sort === 'oldest' ? 1 : -1;
+
+    return this.posts
+      .filter(post => (post.categories || []).some(c => String(c).toLowerCase() === name))
+      .sort((a, b) => direction * (new Date(a.date) - new Date(b.date)));
+  }
+
+  /**
+   * Count each category's posts from the post index, once it is loaded
+   */
+  updatePostCounts() {
+    if (this.posts.length === 0) return;
+
+    this.categories = this.categories.map(category => ({
+      ...category,
+      postCount: this.getCategoryPosts(category).length
+    }));
   }
 
   /**
@@ -98,13 +137,13 @@ export class CategoryManager {
     categoryDiv.setAttribute('data-category-id', category.id);
     
     categoryDiv.innerHTML = `
-      <div class="category-card__icon" role="img" aria-label="${category.name} icon">
-        ${category.icon}
+      <div class="category-card__icon" role="img" aria-label="${escapeHtml(category.name)} icon">
+        ${escapeHtml(category.icon)}
       </div>
       <div class="category-card__content">
-        <h3 class="category-card__title">${category.name}</h3>
+        <h3 class="category-card__title">${escapeHtml(category.name)}</h3>
         <p class="category-card__count">${category.postCount} post${category.postCount !== 1 ? 's' : ''}</p>
-        <p class="category-card__description">${category.description}</p>
+        ${category.description ? `<p class="category-card__description">${escapeHtml(category.description)}</p>` : ''}
       </div>
     `;
 
@@ -136,14 +175,6 @@ export class CategoryManager {
    * Handle category click
    */
   handleCategoryClick(category) {
-    console.log(`Clicked on category: ${category.name}`);
-    
-    // In a real application, this would:
-    // 1. Navigate to a category-specific page
-    // 2. Filter blog posts by category
-    // 3. Update the URL to reflect the category filter
-    
-    // For demonstration, show an alert
     this.showCategoryPosts(category);
   }
 
@@ -159,14 +190,14 @@ export class CategoryManager {
       <div class="modal" style="max-width: 800px;">
         <div class="modal__header">
           <h2 class="modal__title">
-            <span style="margin-right: 0.5rem;">${category.icon}</span>
-            ${category.name}
+            <span style="margin-right: 0.5rem;">${escapeHtml(category.icon)}</span>
+            ${escapeHtml(category.name)}
           </h2>
           <button class="modal__close" aria-label="Close category posts">&times;</button>
         </div>
         <div class="modal__body">
           <p style="margin-bottom: 1.5rem; color: var(--color-text-light);">
-            ${category.description}
+            ${escapeHtml(category.description)}
           </p>
           
           <div style="margin-bottom: 1.5rem; padding: 1rem; background-color: var(--color-background-alt); border-radius: 8px;">
@@ -225,93 +256,76 @@ export class CategoryManager {
     document.body.appendChild(modal);
     setTimeout(() => {
       modal.classList.add('modal-overlay--open');
-      // Simulate loading posts
       this.loadCategoryPosts(category, modal);
     }, 10);
   }
 
   /**
-   * Load posts for a category (simulated)
+   * List a category's posts in its modal, with sorting and pagination
    */
-  loadCategoryPosts(category, modal) {
+  loadCategoryPosts(category, modal, { sort = 'newest', page = 1 } = {}) {
     const postsList = modal.querySelector('#category-posts-list');
-    
-    // Simulate API call delay
-    setTimeout(() => {
-      if (postsList) {
-        // In a real app, you'd fetch actual posts from the blog manager
-        postsList.innerHTML = `
-          <div style="display: grid; gap: 1rem;">
-            ${this.generateSampleCategoryPosts(category).map(post => `
-              <div style="padding: 1rem; border: 1px solid var(--color-border); border-radius: 8px;">
-                <h4 style="margin-bottom: 0.5rem; font-size: 1.125rem; font-weight: 600;">
-                  ${post.title}
-                </h4>
-                <p style="margin-bottom: 0.5rem; color: var(--color-text-light); font-size: 0.875rem;">
-                  ${post.date} • ${post.readTime} min read
-                </p>
-                <p style="margin: 0; color: var(--color-text-light);">
-                  ${post.excerpt}
-                </p>
-              </div>
-            `).join('')}
-          </div>
-          
-          ${category.postCount === 0 ? 
-            `<div class="text-center py-2xl">
-              <p style="color: var(--color-text-light);">No posts in this category yet.</p>
-            </div>` : 
-            ''
-          }
-        `;
-      }
-    }, 1000);
-  }
+    if (!postsList) return;
 
-  /**
-   * Generate sample posts for a category (for demonstration)
-   */
-  generateSampleCategoryPosts(category) {
-    const samplePosts = {
-      'Network Security': [
-        {
-          title: 'Understanding Modern Network Security Challenges',
-          excerpt: 'Exploring the latest challenges in network security and how to address them effectively.',
-          date: '2024-01-15',
-          readTime: 8
-        },
-        {
-          title: 'Implementing Zero Trust Architecture',
-          excerpt: 'A comprehensive guide to implementing zero trust security in your network infrastructure.',
-          date: '2024-01-10',
-          readTime: 12
-        }
-      ],
-      'Network Engineering': [
-        {
-          title: 'Building Resilient Network Infrastructure',
-          excerpt: 'Best practices for designing and implementing resilient network infrastructure.',
-          date: '2024-01-08',
-          readTime: 10
-        },
-        {
-          title: 'Advanced Routing Protocols Explained',
-          excerpt: 'Deep dive into modern routing protocols and their practical applications.',
-          date: '2024-01-05',
-          readTime: 15
-        }
-      ],
-      'Cinema & Reviews': [
-        {
-          title: 'The Art of Cinematography in Modern Films',
-          excerpt: 'Analyzing the visual storytelling techniques used in contemporary cinema.',
-          date: '2024-01-12',
-          readTime: 6
-        }
-      ]
-    };
+    const posts = this.getCategoryPosts(category, sort);
+    if (posts.length === 0) {
+      postsList.innerHTML = `
+        <div class="text-center py-2xl">
+          <p style="color: var(--color-text-light);">No posts in this category yet.</p>
+        </div>
+      `;
+      return;
+    }
+
+    const pageCount = Math.ceil(posts.length / this.postsPerPage);
+    page = Math.min(Math.max(page, 1), pageCount);
+    const pagePosts = posts.slice((page - 1) * this.postsPerPage, page * this.postsPerPage);
+
+    postsList.innerHTML = `
+      <div style="display: flex; justify-content: flex-end; margin-bottom: 1rem;">
+        <label style="color: var(--color-text-light); font-size: 0.875rem;">
+          Sort
+          <select class="category-posts-sort" style="margin-left: 0.5rem;">
+            <option value="newest"${sort === 'newest' ? ' selected' : ''}>Newest first</option>
+            <option value="oldest"${sort === 'oldest' ? ' selected' : ''}>Oldest first</option>
+          </select>
+        </label>
+      </div>
 
-    return samplePosts[category.name] || [];
+      <div style="display: grid; gap: 1rem;">
+        ${pagePosts.map(post => `
+          <a href="${escapeHtml(post.url)}" style="display: block; padding: 1rem; border: 1px solid var(--color-border); border-radius: 8px; color: inherit; text-decoration: none;">
+            <h4 style="margin-bottom: 0.5rem; font-size: 1.125rem; font-weight: 600;">
+              ${escapeHtml(post.title)}
+            </h4>
+            <p style="margin-bottom: 0.5rem; color: var(--color-text-light); font-size: 0.875rem;">
+              <time datetime="${escapeHtml(post.date)}">${escapeHtml(formatPostDate(post.date))}</time>${post.readTime ? ` • ${escapeHtml(post.readTime)}` : ''}
+            </p>
+            <p style="margin: 0; color: var(--color-text-light);">
+              ${escapeHtml(post.description || post.excerpt || '')}
+            </p>
+          </a>
+        `).join('')}
+      </div>
+
+      ${pageCount > 1 ? `
+        <div style="display: flex; align-items: center; justify-content: space-between; margin-top: 1.5rem;">
+          <button class="btn btn--outline category-posts-prev"${page === 1 ? ' disabled' : ''}>← Previous</button>
+          <span style="color: var(--color-text-light); font-size: 0.875rem;">Page ${page} of ${pageCount}</span>
+          <button class="btn btn--outline category-posts-next"${page === pageCount ? ' disabled' : ''}>Next →</button>
+        </div>
+      ` : ''}
+    `;
+
+    postsList.querySelector('.category-posts-sort')?.addEventListener('change', (e) => {
+      this.loadCategoryPosts(category, modal, { sort: e.target.value, page: 1 });
+    });
+    postsList.querySelector('.category-posts-prev')?.addEventListener('click', () => {
+      this.loadCategoryPosts(category, modal, { sort, page: page - 1 });
+    });
+    postsList.querySelector('.category-posts-next')?.addEventListener('click', () => {
+      this.loadCategoryPosts(category, modal, { sort, page: page + 1 });
+    });
   }
 
   /**
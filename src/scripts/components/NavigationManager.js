@@ -369,6 +369,10 @@ export class NavigationManager {
               <span>About</span>
               <kbd style="padding: 0.25rem 0.5rem; background: var(--color-text); color: var(--color-background); border-radius: 4px; font-size: 0.875rem;">Ctrl+6</kbd>
             </div>
+            <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; border-radius: 4px; background-color: var(--color-background-alt);">
+              <span>Search posts</span>
+              <kbd style="padding: 0.25rem 0.5rem; background: var(--color-text); color: var(--color-background); border-radius: 4px; font-size: 0.875rem;">Ctrl+K or /</kbd>
+            </div>
           </div>
           <p style="margin-top: 1rem; font-size: 0.875rem; color: var(--color-text-light);">
             Use Cmd instead of Ctrl on Mac
@@ -431,6 +435,23 @@ export class NavigationManager {
     });
   }
 
+  /**
+   * Open search with Ctrl+K (Cmd+K on Mac), or / when not typing in a field
+   */
+  setupSearchShortcut(openSearch) {
+    document.addEventListener('keydown', (event) => {
+      const target = event.target;
+      const isTyping = target instanceof HTMLElement &&
+        (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+
+      if (((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') ||
+          (event.key === '/' && !isTyping && !event.ctrlKey && !event.metaKey && !event.altKey)) {
+        event.preventDefault();
+        openSearch();
+      }
+    });
+  }
+
   /**
    * Get page statistics
    */
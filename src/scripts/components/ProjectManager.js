@@ -1,6 +1,16 @@
 // Project Manager Component
+import { ProjectSchema } from '../utils/ProjectSchema.js';
+import { escapeHtml } from '../utils/format.js';
+
 export class ProjectManager {
-  constructor() {
+  /**
+   * @param {object} options
+   *   repoStats: GitHubRepoStats used to add live repository metadata to cards
+   *   that link a GitHub repository; cards stay static without it
+   */
+  constructor({ repoStats = null } = {}) {
+    this.schema = new ProjectSchema();
+    this.repoStats = repoStats;
     this.projects = [];
   }
 
@@ -23,14 +33,14 @@ export class ProjectManager {
    * Set projects
    */
   setProjects(projects) {
-    this.projects = [...projects];
+    this.projects = projects.map(project => this.schema.normalize(project));
   }
 
   /**
    * Add a new project
    */
   addProject(project) {
-    this.projects.push(project);
+    this.projects.push(this.schema.normalize(project));
   }
 
   /**
@@ -78,29 +88,30 @@ export class ProjectManager {
   createProjectElement(project) {
     const projectDiv = document.createElement('div');
     projectDiv.className = 'project-card';
+    if (project.github) projectDiv.dataset.github = project.github;
     
     projectDiv.innerHTML = `
       ${project.image ? 
-        `<div class="project-card__image" style="background-image: url('${project.image}')"></div>` :
+        `<div class="project-card__image" style="background-image: url(&quot;${escapeHtml(project.image)}&quot;)"></div>` :
         `<div class="project-card__image"></div>`
       }
       <div class="project-card__content">
-        <h3 class="project-card__title">${project.title}</h3>
-        <p class="project-card__description">${project.description}</p>
+        <h3 class="project-card__title">${escapeHtml(project.title)}</h3>
+        <p class="project-card__description">${escapeHtml(project.description)}</p>
         <div class="project-card__tech">
-          ${project.technologies.map(tech => 
-            `<span class="project-card__tech-item">${tech}</span>`
+          ${project.tech.map(tech => 
+            `<span class="project-card__tech-item">${escapeHtml(tech)}</span>`
           ).join('')}
         </div>
         <div class="project-card__links">
           ${project.github ? 
-            `<a href="${project.github}" target="_blank" rel="noopener noreferrer" class="project-card__link">
+            `<a href="${escapeHtml(project.github)}" target="_blank" rel="noopener noreferrer" class="project-card__link">
               GitHub
             </a>` : 
             ''
           }
           ${project.demo ? 
-            `<a href="${project.demo}" target="_blank" rel="noopener noreferrer" class="project-card__link">
+            `<a href="${escapeHtml(project.demo)}" target="_blank" rel="noopener noreferrer" class="project-card__link">
               Live Demo
             </a>` : 
             ''
@@ -115,10 +126,86 @@ export class ProjectManager {
 
     // Add hover effects and interactions
     this.addProjectEventListeners(projectDiv, project);
+    this.enrichProjectElement(projectDiv);
 
     return projectDiv;
   }
 
+  /**
+   * Add repository metadata to cards already in the page (rendered by Jekyll)
+   */
+  enhanceProjectCards(container) {
+    container?.querySelectorAll('.project-card[data-github]').forEach(card => this.enrichProjectElement(card));
+  }
+
+  /**
+   * Add stars, forks, issues, release, last commit and languages of the card's
+   * GitHub repository. The card is left as it is when they cannot be loaded.
+   */
+  async enrichProjectElement(element) {
+    if (!this.repoStats || !element.dataset.github || element.querySelector('.project-card__stats')) {
+      return;
+    }
+
+    let stats;
+    try {
+      stats = await this.repoStats.getStats(element.dataset.github);
+    } catch (error) {
+      console.warn(`Repository stats unavailable for ${element.dataset.github}:`, error.message);
+      return;
+    }
+    if (!stats) return;
+
+    const items = [
+      `<span class="project-card__stat" title="Stars">★ ${this.formatCount(stats.stars)}</span>`,
+      `<span class="project-card__stat" title="Forks">⑂ ${this.formatCount(stats.forks)}</span>`,
+      `<span class="project-card__stat" title="Open issues and pull requests">◎ ${this.formatCount(stats.openIssues)}</span>`,
+      stats.latestRelease ? `<span class="project-card__stat" title="Latest release">${escapeHtml(stats.latestRelease)}</span>` : '',
+      stats.lastCommit ? `<span class="project-card__stat" title="Last commit">Updated ${escapeHtml(this.formatRelativeDate(stats.lastCommit))}</span>` : ''
+    ];
+
+    const statsDiv = document.createElement('div');
+    statsDiv.className = 'project-card__stats';
+    statsDiv.innerHTML = `
+      <div class="project-card__stat-list">${items.join('')}</div>
+      ${stats.languages.length > 0 ? `
+        <div class="project-card__languages" title="${escapeHtml(stats.languages.map(l => `${l.name} ${l.percent}%`).join(', '))}">
+          ${stats.languages.map(language => 
+            `<span class="project-card__language" style="width: ${language.percent}%"></span>`
+          ).join('')}
+        </div>
+        <div class="project-card__language-names">
+          ${stats.languages.map(language => 
+            `<span>${escapeHtml(language.name)} ${language.percent}%</span>`
+          ).join('')}
+        </div>
+      ` : ''}
+    `;
+
+    const links = element.querySelector('.project-card__links');
+    links ? links.before(statsDiv) : element.querySelector('.project-card__content')?.appendChild(statsDiv);
+  }
+
+  /**
+   * 1234 -> "1.2k"
+   */
+  formatCount(count) {
+    return count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count);
+  }
+
+  /**
+   * "today", "3 days ago", "2 months ago"...
+   */
+  formatRelativeDate(dateString) {
+    const days = Math.floor((Date.now() - new Date(dateString)) / (24 * 60 * 60 * 1000));
+    if (days < 1) return 'today';
+    if (days < 30) return days === 1 ? 'yesterday' : `${days} days ago`;
+    const months = Math.floor(days / 30);
+    if (months < 12) return months === 1 ? '1 month ago' : `${months} months ago`;
+    const years = Math.max(1, Math.floor(days / 365));
+    return years === 1 ? '1 year ago' : `${years} years ago`;
+  }
+
   /**
    * Add event listeners to a project element
    */
@@ -155,36 +242,67 @@ export class ProjectManager {
     modal.innerHTML = `
       <div class="modal" style="max-width: 600px;">
         <div class="modal__header">
-          <h2 class="modal__title">${project.title}</h2>
+          <h2 class="modal__title">${escapeHtml(project.title)}</h2>
           <button class="modal__close" aria-label="Close project details">&times;</button>
         </div>
         <div class="modal__body">
           ${project.image ? 
-            `<img src="${project.image}" alt="${project.title}" style="width: 100%; border-radius: 8px; margin-bottom: 1rem;">` :
+            `<img src="${escapeHtml(project.image)}" alt="${escapeHtml(project.title)}" style="width: 100%; border-radius: 8px; margin-bottom: 1rem;">` :
             ''
           }
-          <p style="margin-bottom: 1rem; line-height: 1.6;">${project.description}</p>
+          <div style="display: flex; flex-wrap: wrap; gap: 0.75rem; margin-bottom: 1rem; font-size: 0.875rem; color: var(--color-text-light);">
+            <span class="tag">${escapeHtml(this.formatStatus(project.status))}</span>
+            ${project.role ? `<span>${escapeHtml(project.role)}</span>` : ''}
+            ${project.startDate ? `<span>${escapeHtml(this.formatDateRange(project))}</span>` : ''}
+          </div>
+          <p style="margin-bottom: 1rem; line-height: 1.6;">${escapeHtml(project.description)}</p>
+
+          ${project.highlights.length > 0 ? `
+            <h3 style="margin-bottom: 0.5rem; font-size: 1.125rem; font-weight: 600;">Highlights:</h3>
+            <ul style="margin-bottom: 1rem; padding-left: 1.25rem; line-height: 1.6;">
+              ${project.highlights.map(highlight => `<li>${escapeHtml(highlight)}</li>`).join('')}
+            </ul>
+          ` : ''}
           
           <h3 style="margin-bottom: 0.5rem; font-size: 1.125rem; font-weight: 600;">Technologies Used:</h3>
           <div style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1.5rem;">
-            ${project.technologies.map(tech => 
-              `<span class="tag tag--primary">${tech}</span>`
+            ${project.tech.map(tech => 
+              `<span class="tag tag--primary">${escapeHtml(tech)}</span>`
             ).join('')}
           </div>
+
+          ${project.gallery.length > 0 ? `
+            <div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(120px, 1fr)); gap: 0.5rem; margin-bottom: 1.5rem;">
+              ${project.gallery.map(image => 
+                `<img src="${escapeHtml(image)}" alt="" loading="lazy" style="width: 100%; aspect-ratio: 4 / 3; object-fit: cover; border-radius: 4px;">`
+              ).join('')}
+            </div>
+          ` : ''}
           
-          <div style="display: flex; gap: 1rem;">
+          <div style="display: flex; flex-wrap: wrap; gap: 1rem;">
+            ${project.id ? 
+              `<a href="${escapeHtml(this.schema.pageUrl(project))}" class="btn btn--primary">
+                Read More
+              </a>` : 
+              ''
+            }
             ${project.github ? 
-              `<a href="${project.github}" target="_blank" rel="noopener noreferrer" class="btn btn--primary">
+              `<a href="${escapeHtml(project.github)}" target="_blank" rel="noopener noreferrer" class="btn btn--secondary">
                 View on GitHub
               </a>` : 
               ''
             }
             ${project.demo ? 
-              `<a href="${project.demo}" target="_blank" rel="noopener noreferrer" class="btn btn--secondary">
+              `<a href="${escapeHtml(project.demo)}" target="_blank" rel="noopener noreferrer" class="btn btn--secondary">
                 Live Demo
               </a>` : 
               ''
             }
+            ${project.links.map(link => 
+              `<a href="${escapeHtml(link.url)}" target="_blank" rel="noopener noreferrer" class="btn btn--secondary">
+                ${escapeHtml(link.label)}
+              </a>`
+            ).join('')}
           </div>
         </div>
       </div>
@@ -231,7 +349,7 @@ export class ProjectManager {
    */
   filterByTechnology(technology) {
     return this.projects.filter(project => 
-      project.technologies.some(tech => 
+      project.tech.some(tech => 
         tech.toLowerCase().includes(technology.toLowerCase())
       )
     );
@@ -254,15 +372,34 @@ export class ProjectManager {
   getAllTechnologies() {
     const technologies = new Set();
     this.projects.forEach(project => {
-      project.technologies.forEach(tech => technologies.add(tech));
+      project.tech.forEach(tech => technologies.add(tech));
     });
     return Array.from(technologies).sort();
   }
 
   /**
-   * Get featured projects (first 3 projects for home page)
+   * Get projects marked as featured, leaving out archived ones
    */
   getFeaturedProjects() {
-    return this.projects.slice(0, 3);
+    return this.projects.filter(project => project.featured && !project.archived);
+  }
+
+  /**
+   * Status as shown to visitors
+   */
+  formatStatus(status) {
+    return status.charAt(0).toUpperCase() + status.slice(1);
+  }
+
+  /**
+   * "Mar 2023 – Present" from the project's start and end dates (YYYY-MM or YYYY-MM-DD)
+   */
+  formatDateRange(project) {
+    const format = value => {
+      const [year, month = '1'] = value.split('-');
+      const date = new Date(Number(year), Number(month) - 1, 1);
+      return isNaN(date) ? value : date.toLocaleDateString('en-US', { year: 'numeric', month: 'short' });
+    };
+    return `${format(project.startDate)} – ${project.endDate ? format(project.endDate) : 'Present'}`;
   }
 } 
\ No newline at end of file
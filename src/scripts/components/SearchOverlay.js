@@ -0,0 +1,219 @@
+// Search Overlay Component - site-wide post search
+// Opened from the header's search button or with the shortcut NavigationManager
+// registers; the index (api/search.json) is loaded the first time it opens.
+import { ContentIndex } from '../utils/ContentIndex.js';
+import { SearchIndex } from '../utils/SearchIndex.js';
+import { escapeHtml, formatPostDate } from '../utils/format.js';
+
+export class SearchOverlay {
+  /**
+   * @param {object} options
+   *   contentIndex: ContentIndex the search index is loaded from,
+   *   limit: number of results shown
+   */
+  constructor({ contentIndex = new ContentIndex(), limit = 10 } = {}) {
+    this.contentIndex = contentIndex;
+    this.searchIndex = new SearchIndex();
+    this.limit = limit;
+    this.indexLoading = null;
+    this.indexReady = false;
+    this.overlay = null;
+    this.results = [];
+    this.activeIndex = -1;
+    this.previousFocus = null;
+  }
+
+  /**
+   * Load and index the posts once
+   */
+  loadIndex() {
+    if (!this.indexLoading) {
+      this.indexLoading = this.contentIndex.get('search')
+        .then(documents => {
+          this.searchIndex.setDocuments(documents);
+          this.indexReady = true;
+        });
+      // Allow a retry the next time the overlay opens
+      this.indexLoading.catch(() => { this.indexLoading = null; });
+    }
+    return this.indexLoading;
+  }
+
+  isOpen() {
+    return !!this.overlay?.classList.contains('modal-overlay--open');
+  }
+
+  /**
+   * Open the overlay, or focus its input when it is already open
+   */
+  async open() {
+    if (this.isOpen()) {
+      this.input.focus();
+      return;
+    }
+
+    if (!this.overlay) this.createOverlay();
+    this.previousFocus = document.activeElement;
+    setTimeout(() => this.overlay.classList.add('modal-overlay--open'), 10);
+    this.input.focus();
+    this.input.select();
+
+    this.renderMessage('Loading search…');
+    try {
+      await this.loadIndex();
+      this.update();
+    } catch (error) {
+      console.error('Search index unavailable:', error);
+      this.renderMessage('Search is unavailable right now. Please try again later.');
+    }
+  }
+
+  close() {
+    if (!this.isOpen()) return;
+
+    this.overlay.classList.remove('modal-overlay--open');
+    this.previousFocus?.focus?.();
+  }
+
+  /**
+   * Create the overlay element and its event listeners
+   */
+  createOverlay() {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay search-overlay';
+    overlay.setAttribute('role', 'dialog');
+    overlay.setAttribute('aria-modal', 'true');
+    overlay.setAttribute('aria-label', 'Search posts');
+
+    overlay.innerHTML = `
+      <div class="modal search-overlay__panel">
+        <div class="search-overlay__header">
+          <input type="search" class="search-overlay__input" placeholder="Search posts…" autocomplete="off"
+                 role="combobox" aria-expanded="true" aria-controls="search-overlay-results" aria-label="Search posts">
+          <button class="modal__close" aria-label="Close search">&times;</button>
+        </div>
+        <div class="search-overlay__results" id="search-overlay-results" role="listbox"></div>
+        <div class="search-overlay__footer">
+          <span><kbd>↑</kbd> <kbd>↓</kbd> to choose</span>
+          <span><kbd>Enter</kbd> to open</span>
+          <span><kbd>Esc</kbd> to close</span>
+        </div>
+      </div>
+    `;
+
+    this.overlay = overlay;
+    this.input = overlay.querySelector('.search-overlay__input');
+    this.resultsElement = overlay.querySelector('.search-overlay__results');
+
+    overlay.querySelector('.modal__close').addEventListener('click', () => this.close());
+
+    // Click outside to close
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) {
+        this.close();
+      }
+    });
+
+    this.input.addEventListener('input', this.debounce(() => this.update(), 100));
+    overlay.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+    document.body.appendChild(overlay);
+  }
+
+  /**
+   * Keyboard navigation through the results
+   */
+  handleKeydown(event) {
+    switch (event.key) {
+      case 'Escape':
+        event.preventDefault();
+        this.close();
+        break;
+      case 'ArrowDown':
+        event.preventDefault();
+        this.setActiveResult(Math.min(this.activeIndex + 1, this.results.length - 1));
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        this.setActiveResult(Math.max(this.activeIndex - 1, 0));
+        break;
+      case 'Enter': {
+        const link = this.resultsElement.querySelectorAll('.search-overlay__result')[this.activeIndex];
+        if (link && event.target === this.input) {
+          event.preventDefault();
+          window.location.href = link.href;
+        }
+        break;
+      }
+    }
+  }
+
+  /**
+   * Search for the input's current value and show the results
+   */
+  update() {
+    if (!this.indexReady) return;
+
+    const query = this.input.value.trim();
+    if (query === '') {
+      this.results = [];
+      const count = this.searchIndex.documents.length;
+      this.renderMessage(`Search ${count} post${count !== 1 ? 's' : ''} by title, tag, heading or text.`);
+      return;
+    }
+
+    this.results = this.searchIndex.search(this.input.value, { limit: this.limit });
+    if (this.results.length === 0) {
+      this.renderMessage(`No posts match “${escapeHtml(query)}”.`);
+      return;
+    }
+
+    this.resultsElement.innerHTML = this.results.map((result, i) => this.renderResult(result, i)).join('');
+    this.setActiveResult(0);
+  }
+
+  renderResult({ document: post, terms }, i) {
+    const index = this.searchIndex;
+    const matchingHeading = (post.headings || []).find(heading => index.snippet(heading, terms) !== null);
+    const snippet = index.snippet(post.body, terms) || index.highlight(post.description || '', terms);
+
+    return `
+      <a href="${escapeHtml(post.url)}" class="search-overlay__result" id="search-overlay-result-${i}" role="option" aria-selected="false">
+        <span class="search-overlay__result-title">${index.highlight(post.title, terms)}</span>
+        <span class="search-overlay__result-meta">
+          ${escapeHtml(formatPostDate(post.date))}
+          ${matchingHeading ? ` · § ${index.highlight(matchingHeading, terms)}` : ''}
+          ${(post.tags || []).length > 0 ? ` · ${(post.tags || []).map(tag => index.highlight(tag, terms)).join(', ')}` : ''}
+        </span>
+        <span class="search-overlay__result-snippet">${snippet}</span>
+      </a>
+    `;
+  }
+
+  renderMessage(html) {
+    this.activeIndex = -1;
+    this.input.removeAttribute('aria-activedescendant');
+    this.resultsElement.innerHTML = `<p class="search-overlay__message">${html}</p>`;
+  }
+
+  setActiveResult(index) {
+    const links = this.resultsElement.querySelectorAll('.search-overlay__result');
+    if (links.length === 0) return;
+
+    this.activeIndex = index;
+    links.forEach((link, i) => {
+      link.classList.toggle('search-overlay__result--active', i === index);
+      link.setAttribute('aria-selected', String(i === index));
+    });
+    this.input.setAttribute('aria-activedescendant', links[index].id);
+    links[index].scrollIntoView?.({ block: 'nearest' });
+  }
+
+  debounce(func, wait) {
+    let timeout;
+    return (...args) => {
+      clearTimeout(timeout);
+      timeout = setTimeout(() => func.apply(this, args), wait);
+    };
+  }
+}
@@ -1,7 +1,15 @@
 // Tag Manager Component
+import { escapeHtml, formatPostDate } from '../utils/format.js';
+
 export class TagManager {
   constructor() {
     this.tags = [];
+    // Post summaries from the content index, used for listings, counts and related tags
+    this.posts = [];
+    // Lowercased tag name -> posts with that tag
+    this.tagPosts = new Map();
+    // Lowercased tag name -> Map of lowercased tag name -> posts having both
+    this.cooccurrence = new Map();
   }
 
   /**
@@ -24,6 +32,53 @@ export class TagManager {
    */
   setTags(tags) {
     this.tags = [...tags];
+    this.updateTagCounts();
+  }
+
+  /**
+   * Set the posts that tags list, and index which tags they share
+   */
+  setPosts(posts) {
+    this.posts = [...posts];
+    this.tagPosts = new Map();
+    this.cooccurrence = new Map();
+
+    this.posts.forEach(post => {
+      const names = [...new Set((post.tags || []).map(tag => String(tag).toLowerCase()))];
+
+      names.forEach(name => {
+        if (!this.tagPosts.has(name)) this.tagPosts.set(name, []);
+        this.tagPosts.get(name).push(post);
+
+        if (!this.cooccurrence.has(name)) this.cooccurrence.set(name, new Map());
+        const row = this.cooccurrence.get(name);
+        names.filter(other => other !== name).forEach(other => {
+          row.set(other, (row.get(other) || 0) + 1);
+        });
+      });
+    });
+
+    this.updateTagCounts();
+  }
+
+  /**
+   * Count each tag's posts from the post index, once it is loaded
+   */
+  updateTagCounts() {
+    if (this.posts.length === 0) return;
+
+    this.tags = this.tags.map(tag => ({
+      ...tag,
+      count: (this.tagPosts.get(tag.name.toLowerCase()) || []).length
+    }));
+  }
+
+  /**
+   * Posts with a tag, newest first
+   */
+  getTagPosts(tagName) {
+    return [...(this.tagPosts.get(tagName.toLowerCase()) || [])]
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
   }
 
   /**
@@ -110,7 +165,7 @@ export class TagManager {
     tagSpan.style.cursor = 'pointer';
     
     tagSpan.innerHTML = `
-      ${tag.name}
+      ${escapeHtml(tag.name)}
       <span class="tag__count">${tag.count}</span>
     `;
 
@@ -167,14 +222,6 @@ export class TagManager {
    * Handle tag click
    */
   handleTagClick(tag) {
-    console.log(`Clicked on tag: ${tag.name}`);
-    
-    // In a real application, this would:
-    // 1. Filter blog posts by tag
-    // 2. Navigate to a tag-specific page
-    // 3. Update the URL to reflect the tag filter
-    
-    // For demonstration, show tag details
     this.showTagDetails(tag);
   }
 
@@ -190,7 +237,7 @@ export class TagManager {
       <div class="modal" style="max-width: 600px;">
         <div class="modal__header">
           <h2 class="modal__title">
-            🏷️ ${tag.name}
+            🏷️ ${escapeHtml(tag.name)}
           </h2>
           <button class="modal__close" aria-label="Close tag details">&times;</button>
         </div>
@@ -198,13 +245,15 @@ export class TagManager {
           <div style="margin-bottom: 1.5rem; padding: 1rem; background-color: var(--color-background-alt); border-radius: 8px;">
             <h3 style="margin-bottom: 0.5rem; font-size: 1rem; font-weight: 600;">Tag Statistics</h3>
             <p style="margin-bottom: 0.5rem; color: var(--color-text-light);">
-              <strong>${tag.count}</strong> post${tag.count !== 1 ? 's' : ''} tagged with "${tag.name}"
+              <strong>${tag.count}</strong> post${tag.count !== 1 ? 's' : ''} tagged with "${escapeHtml(tag.name)}"
             </p>
             <p style="margin: 0; color: var(--color-text-light); font-size: 0.875rem;">
               This tag represents ${this.calculateTagPercentage(tag.count)}% of all tagged content
             </p>
           </div>
           
+          <div id="tag-related-list" style="margin-bottom: 1.5rem; line-height: 2.25;" hidden></div>
+
           <div id="tag-posts-list">
             <div class="text-center py-2xl">
               <div class="spinner"></div>
@@ -254,112 +303,94 @@ export class TagManager {
     document.body.appendChild(modal);
     setTimeout(() => {
       modal.classList.add('modal-overlay--open');
-      // Simulate loading posts
       this.loadTagPosts(tag, modal);
+      this.renderRelatedTags([tag.name], modal.querySelector('#tag-related-list'), {
+        onSelect: related => {
+          closeModal();
+          this.showTagDetails(related);
+        }
+      });
     }, 10);
   }
 
   /**
-   * Load posts for a tag (simulated)
+   * List the posts with a tag in its modal
    */
   loadTagPosts(tag, modal) {
     const postsList = modal.querySelector('#tag-posts-list');
-    
-    // Simulate API call delay
-    setTimeout(() => {
-      if (postsList) {
-        // In a real app, you'd fetch actual posts from the blog manager
-        const samplePosts = this.generateSampleTagPosts(tag);
-        
-        postsList.innerHTML = `
-          <div style="display: grid; gap: 1rem;">
-            ${samplePosts.map(post => `
-              <div style="padding: 1rem; border: 1px solid var(--color-border); border-radius: 8px;">
-                <h4 style="margin-bottom: 0.5rem; font-size: 1.125rem; font-weight: 600;">
-                  ${post.title}
-                </h4>
-                <p style="margin-bottom: 0.5rem; color: var(--color-text-light); font-size: 0.875rem;">
-                  ${post.date} • ${post.readTime} min read
-                </p>
-                <p style="margin-bottom: 0.5rem; color: var(--color-text-light);">
-                  ${post.excerpt}
-                </p>
-                <div style="display: flex; flex-wrap: wrap; gap: 0.25rem;">
-                  ${post.tags.map(t => `<span class="tag" style="font-size: 0.75rem;">${t}</span>`).join('')}
-                </div>
-              </div>
-            `).join('')}
-          </div>
-          
-          ${samplePosts.length === 0 ? 
-            `<div class="text-center py-2xl">
-              <p style="color: var(--color-text-light);">No posts with this tag yet.</p>
-            </div>` : 
-            ''
-          }
-        `;
-      }
-    }, 1000);
-  }
-
-  /**
-   * Generate sample posts for a tag (for demonstration)
-   */
-  generateSampleTagPosts(tag) {
-    const samplePostsMap = {
-      'networking': [
-        {
-          title: 'Understanding Modern Network Security Challenges',
-          excerpt: 'Exploring the latest challenges in network security and how to address them effectively.',
-          date: '2024-01-15',
-          readTime: 8,
-          tags: ['networking', 'security', 'cybersecurity']
-        },
-        {
-          title: 'Building Resilient Network Infrastructure',
-          excerpt: 'Best practices for designing and implementing resilient network infrastructure.',
-          date: '2024-01-08',
-          readTime: 10,
-          tags: ['networking', 'infrastructure', 'architecture']
-        }
-      ],
-      'security': [
-        {
-          title: 'Understanding Modern Network Security Challenges',
-          excerpt: 'Exploring the latest challenges in network security and how to address them effectively.',
-          date: '2024-01-15',
-          readTime: 8,
-          tags: ['networking', 'security', 'cybersecurity']
-        },
-        {
-          title: 'Implementing Zero Trust Architecture',
-          excerpt: 'A comprehensive guide to implementing zero trust security in your network infrastructure.',
-          date: '2024-01-10',
-          readTime: 12,
-          tags: ['security', 'architecture', 'cybersecurity']
-        }
-      ],
-      'typescript': [
-        {
-          title: 'Advanced TypeScript Patterns for Network Applications',
-          excerpt: 'Exploring advanced TypeScript patterns for building robust network applications.',
-          date: '2024-01-12',
-          readTime: 15,
-          tags: ['typescript', 'programming', 'networking']
-        }
-      ],
-      'python': [
-        {
-          title: 'Python for Network Automation',
-          excerpt: 'Using Python to automate network configuration and monitoring tasks.',
-          date: '2024-01-05',
-          readTime: 12,
-          tags: ['python', 'automation', 'networking']
-        }
-      ]
-    };
+    if (!postsList) return;
 
-    return samplePostsMap[tag.name.toLowerCase()] || [];
+    const posts = this.getTagPosts(tag.name);
+    if (posts.length === 0) {
+      postsList.innerHTML = `
+        <div class="text-center py-2xl">
+          <p style="color: var(--color-text-light);">No posts with this tag yet.</p>
+        </div>
+      `;
+      return;
+    }
+
+    postsList.innerHTML = `
+      <div style="display: grid; gap: 1rem;">
+        ${posts.map(post => `
+          <a href="${escapeHtml(post.url)}" style="display: block; padding: 1rem; border: 1px solid var(--color-border); border-radius: 8px; color: inherit; text-decoration: none;">
+            <h4 style="margin-bottom: 0.5rem; font-size: 1.125rem; font-weight: 600;">
+              ${escapeHtml(post.title)}
+            </h4>
+            <p style="margin-bottom: 0.5rem; color: var(--color-text-light); font-size: 0.875rem;">
+              <time datetime="${escapeHtml(post.date)}">${escapeHtml(formatPostDate(post.date))}</time>${post.readTime ? ` • ${escapeHtml(post.readTime)}` : ''}
+            </p>
+            <p style="margin-bottom: 0.5rem; color: var(--color-text-light);">
+              ${escapeHtml(post.description || post.excerpt || '')}
+            </p>
+            <div style="display: flex; flex-wrap: wrap; gap: 0.25rem;">
+              ${(post.tags || []).map(t => `<span class="tag" style="font-size: 0.75rem;">${escapeHtml(t)}</span>`).join('')}
+            </div>
+          </a>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a "related tags" strip for a set of tags into a container, which
+   * stays hidden when there are none. Related tags are links to their section
+   * of the tags page (tagsUrl), or buttons calling onSelect(tag) when given.
+   */
+  renderRelatedTags(tagNames, container, { limit = 5, tagsUrl = '/tags/', onSelect = null } = {}) {
+    if (!container) return;
+
+    const related = this.getRelatedTagsForTags(tagNames, limit);
+    container.hidden = related.length === 0;
+    if (related.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+
+    container.innerHTML = `
+      <span class="blog-post__taxonomy-label">Related tags:</span>
+      ${related.map(tag => onSelect ?
+        `<button type="button" class="tag" data-tag-name="${escapeHtml(tag.name)}" title="${this.formatRelatedScore(tag)}">${escapeHtml(tag.name)}</button>` :
+        `<a href="${escapeHtml(`${tagsUrl}#tag-${this.slugify(tag.name)}`)}" class="tag" title="${this.formatRelatedScore(tag)}">${escapeHtml(tag.name)}</a>`
+      ).join('')}
+    `;
+
+    if (onSelect) {
+      container.querySelectorAll('[data-tag-name]').forEach((button, i) => {
+        button.addEventListener('click', () => onSelect(related[i]));
+      });
+    }
+  }
+
+  formatRelatedScore(tag) {
+    return `${tag.sharedPosts} shared post${tag.sharedPosts !== 1 ? 's' : ''}`;
+  }
+
+  /**
+   * Same as Jekyll's default slugify, used for the tags page anchors
+   */
+  slugify(text) {
+    return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
   }
 
   /**
@@ -447,13 +478,53 @@ export class TagManager {
   }
 
   /**
-   * Get related tags (tags that commonly appear together)
+   * Get related tags (tags that commonly appear on the same posts)
    */
   getRelatedTags(tagName, limit = 5) {
-    // In a real application, this would analyze co-occurrence patterns
-    // For now, return popular tags excluding the current one
-    return this.getPopularTags(limit + 1)
-      .filter(tag => tag.name.toLowerCase() !== tagName.toLowerCase())
+    return this.getRelatedTagsForTags([tagName], limit);
+  }
+
+  /**
+   * Tags related to any of tagNames, strongest first. A tag's score is the
+   * Jaccard index of the posts it shares with each of tagNames (posts with
+   * both / posts with either), summed. Each result is the tag with `score`
+   * and `sharedPosts`, the number of posts it shares with any of tagNames.
+   */
+  getRelatedTagsForTags(tagNames, limit = 5) {
+    const sources = [...new Set(tagNames.map(name => String(name).toLowerCase()))];
+    const scores = new Map();
+
+    sources.forEach(source => {
+      const sourceCount = (this.tagPosts.get(source) || []).length;
+
+      (this.cooccurrence.get(source) || new Map()).forEach((shared, other) => {
+        if (sources.includes(other)) return;
+
+        const otherCount = (this.tagPosts.get(other) || []).length;
+        scores.set(other, (scores.get(other) || 0) + shared / (sourceCount + otherCount - shared));
+      });
+    });
+
+    const hasSourceTag = post => post.tags.some(tag => sources.includes(String(tag).toLowerCase()));
+
+    return [...scores.entries()]
+      .map(([name, score]) => ({
+        ...(this.getTagByName(name) || { id: this.slugify(name), name: this.getTagDisplayName(name), count: (this.tagPosts.get(name) || []).length }),
+        score,
+        sharedPosts: this.tagPosts.get(name).filter(hasSourceTag).length
+      }))
+      .sort((a, b) => b.score - a.score || b.sharedPosts - a.sharedPosts || a.name.localeCompare(b.name))
       .slice(0, limit);
   }
+
+  /**
+   * Tag name as written on a post, for a lowercased name
+   */
+  getTagDisplayName(name) {
+    for (const post of this.tagPosts.get(name) || []) {
+      const tag = post.tags.find(t => String(t).toLowerCase() === name);
+      if (tag) return String(tag);
+    }
+    return name;
+  }
 } 
\ No newline at end of file
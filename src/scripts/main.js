@@ -4,19 +4,27 @@ import { ProjectManager } from './components/ProjectManager.js';
 import { CategoryManager } from './components/CategoryManager.js';
 import { TagManager } from './components/TagManager.js';
 import { NavigationManager } from './components/NavigationManager.js';
+import { GitHubRepoStats } from './utils/GitHubRepoStats.js';
+import { ContentIndex } from './utils/ContentIndex.js';
+import { SearchOverlay } from './components/SearchOverlay.js';
 
 // Main Application Class
 class PersonalWebsiteApp {
   constructor() {
     this.config = {
       currentPage: 'home',
-      isInitialized: false
+      isInitialized: false,
+      contentIndexUrl: '/api'
     };
 
+    // Posts, categories, tags and projects generated by Jekyll
+    this.contentIndex = new ContentIndex({ baseUrl: this.config.contentIndexUrl });
+    this.searchOverlay = new SearchOverlay({ contentIndex: this.contentIndex });
+
     // Initialize managers
     this.navigationManager = new NavigationManager();
     this.blogManager = new BlogManager();
-    this.projectManager = new ProjectManager();
+    this.projectManager = new ProjectManager({ repoStats: new GitHubRepoStats() });
     this.categoryManager = new CategoryManager();
     this.tagManager = new TagManager();
   }
@@ -64,6 +72,10 @@ class PersonalWebsiteApp {
     
     // Blog editor event listeners
     this.setupBlogEditorListeners();
+
+    // Site-wide search
+    this.navigationManager.setupSearchShortcut(() => this.searchOverlay.open());
+    document.querySelector('.header__search')?.addEventListener('click', () => this.searchOverlay.open());
     
     // Window resize listener
     window.addEventListener('resize', this.debounce(() => {
@@ -270,111 +282,19 @@ class PersonalWebsiteApp {
    */
   async loadInitialData() {
     try {
-      // Load sample data (in a real app, this would come from an API or CMS)
-      await this.loadSampleData();
+      const { posts, categories, tags, projects } = await this.contentIndex.load();
+
+      this.projectManager.setProjects(projects);
+      this.blogManager.setPosts(posts);
+      this.categoryManager.setCategories(categories);
+      this.categoryManager.setPosts(posts);
+      this.tagManager.setTags(tags);
+      this.tagManager.setPosts(posts);
     } catch (error) {
       console.error('Failed to load initial data:', error);
     }
   }
 
-  /**
-   * Load sample data for development
-   */
-  async loadSampleData() {
-    // Sample projects
-    const sampleProjects = [
-      {
-        id: '1',
-        title: 'Network Security Dashboard',
-        description: 'A comprehensive dashboard for monitoring network security metrics and threats in real-time.',
-        technologies: ['TypeScript', 'React', 'D3.js', 'Node.js'],
-        github: 'https://github.com/harrytien107/network-security-dashboard',
-        demo: 'https://network-security-demo.netlify.app'
-      },
-      {
-        id: '2',
-        title: 'Automated Network Diagnostics Tool',
-        description: 'Python-based tool for automated network diagnostics and performance analysis.',
-        technologies: ['Python', 'Flask', 'SQLite', 'Chart.js'],
-        github: 'https://github.com/harrytien107/network-diagnostics',
-        demo: 'https://network-diagnostics-demo.herokuapp.com'
-      },
-      {
-        id: '3',
-        title: 'Cinematic Review Platform',
-        description: 'A movie review platform with advanced filtering and recommendation features.',
-        technologies: ['Vue.js', 'Express.js', 'MongoDB', 'TailwindCSS'],
-        github: 'https://github.com/harrytien107/cinematic-reviews'
-      }
-    ];
-
-    // Sample blog posts
-    const samplePosts = [
-      {
-        id: '1',
-        title: 'Understanding Modern Network Security Challenges',
-        content: 'Network security landscape has evolved significantly...',
-        excerpt: 'Exploring the latest challenges in network security and how to address them effectively.',
-        tags: ['security', 'networking', 'cybersecurity'],
-        categories: ['Network Security'],
-        date: '2024-01-15',
-        readTime: 8
-      },
-      {
-        id: '2',
-        title: 'Building Resilient Network Infrastructure',
-        content: 'Creating robust network infrastructure requires...',
-        excerpt: 'Best practices for designing and implementing resilient network infrastructure.',
-        tags: ['infrastructure', 'networking', 'architecture'],
-        categories: ['Network Engineering'],
-        date: '2024-01-10',
-        readTime: 12
-      }
-    ];
-
-    // Sample categories
-    const sampleCategories = [
-      {
-        id: '1',
-        name: 'Network Security',
-        description: 'Articles about network security, threat analysis, and cybersecurity best practices.',
-        icon: '🔒',
-        postCount: 8
-      },
-      {
-        id: '2',
-        name: 'Network Engineering',
-        description: 'Technical posts about network design, protocols, and infrastructure.',
-        icon: '🌐',
-        postCount: 12
-      },
-      {
-        id: '3',
-        name: 'Cinema & Reviews',
-        description: 'Movie reviews, cinema analysis, and entertainment thoughts.',
-        icon: '🎬',
-        postCount: 5
-      }
-    ];
-
-    // Sample tags
-    const sampleTags = [
-      { id: '1', name: 'networking', count: 15 },
-      { id: '2', name: 'security', count: 10 },
-      { id: '3', name: 'typescript', count: 8 },
-      { id: '4', name: 'python', count: 6 },
-      { id: '5', name: 'cybersecurity', count: 12 },
-      { id: '6', name: 'infrastructure', count: 9 },
-      { id: '7', name: 'cinema', count: 5 }
-    ];
-
-    // Store sample data
-    this.projectManager.setProjects(sampleProjects);
-    this.blogManager.setPosts(samplePosts);
-    this.categoryManager.setCategories(sampleCategories);
-    this.tagManager.setTags(sampleTags);
-  }
-
   /**
    * Handle window resize events
    */
@@ -0,0 +1,55 @@
+// Content Index - the site's posts, categories, tags and projects as JSON
+// Jekyll renders them from site.posts and _data/projects.yml into api/*.json,
+// so the client-side components show the same content as the built pages.
+
+export const CONTENT_TYPES = ['posts', 'categories', 'tags', 'projects'];
+
+export class ContentIndex {
+  /**
+   * @param {object} options
+   *   baseUrl: URL of the directory holding the JSON files
+   */
+  constructor({ baseUrl = '/api' } = {}) {
+    this.baseUrl = baseUrl;
+    this.requests = new Map();
+  }
+
+  /**
+   * Load every content type. A file that cannot be loaded is logged and
+   * read as an empty list, so the rest of the site still works.
+   * @returns {Promise<{posts: Array, categories: Array, tags: Array, projects: Array}>}
+   */
+  async load() {
+    const lists = await Promise.all(CONTENT_TYPES.map(type =>
+      this.get(type).catch(error => {
+        console.warn(`Content index "${type}" unavailable:`, error.message);
+        return [];
+      })
+    ));
+
+    return Object.fromEntries(CONTENT_TYPES.map((type, i) => [type, lists[i]]));
+  }
+
+  /**
+   * One content type; each file is requested once per page load
+   */
+  get(type) {
+    if (!this.requests.has(type)) {
+      const request = this.fetchJson(`${this.baseUrl}/${type}.json`);
+      // Allow a retry after a failed request
+      request.catch(() => this.requests.delete(type));
+      this.requests.set(type, request);
+    }
+    return this.requests.get(type);
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    return Array.isArray(data) ? data : [];
+  }
+}
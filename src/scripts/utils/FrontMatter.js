@@ -0,0 +1,570 @@
+// Front Matter Utility - YAML front matter parser and serializer
+// Shared by the public site (BlogManager) and the admin dashboard (GitHubAPI)
+//
+// Supports the YAML subset Jekyll posts use in practice: block and flow
+// sequences and maps, nested maps, single/double quoted strings, literal (|)
+// and folded (>) block scalars, multi-line plain strings, comments, booleans,
+// null and numbers. Dates are kept as their original string so they
+// round-trip exactly (Jekyll parses them itself).
+
+const NULL_PATTERN = /^(?:~|null|Null|NULL)$/;
+const TRUE_PATTERN = /^(?:true|True|TRUE|yes|Yes|YES|on|On|ON)$/;
+const FALSE_PATTERN = /^(?:false|False|FALSE|no|No|NO|off|Off|OFF)$/;
+const INT_PATTERN = /^[-+]?(?:0|[1-9]\d*)$/;
+const FLOAT_PATTERN = /^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/;
+
+export class FrontMatter {
+  /**
+   * Split a document into front matter data and body
+   * @returns {{ data: object, body: string, hasFrontMatter: boolean, source: object|null }}
+   */
+  parse(text) {
+    const lines = text.split(/\r?\n/);
+
+    if (lines[0].trim() !== '---') {
+      return { data: {}, body: text, hasFrontMatter: false, source: null };
+    }
+
+    const endIndex = lines.findIndex((line, index) => index > 0 && /^(?:---|\.\.\.)\s*$/.test(line));
+    if (endIndex === -1) {
+      return { data: {}, body: text, hasFrontMatter: false, source: null };
+    }
+
+    const yaml = lines.slice(1, endIndex).join('\n');
+    const data = this.parseYaml(yaml);
+
+    return {
+      data,
+      body: lines.slice(endIndex + 1).join('\n'),
+      hasFrontMatter: true,
+      source: this.parseSource(yaml, data)
+    };
+  }
+
+  /**
+   * Build a document from front matter data and body. When the source of a
+   * parsed document is given, keys keep their original order, and keys whose
+   * value did not change are written back verbatim, comments included.
+   */
+  stringify(data, body = '', source = null) {
+    const yaml = source ? this.stringifyWithSource(data, source) : this.stringifyYaml(data);
+    return `---\n${yaml}---\n\n${body}`;
+  }
+
+  /**
+   * A single value as the YAML that follows "key:", for key/value editors
+   */
+  stringifyValue(value) {
+    const text = this.formatValue(value, 0);
+    if (!text.startsWith('\n')) {
+      return text.trim();
+    }
+    return text.slice(1).replace(/\n$/, '').split('\n').map(line => line.slice(2)).join('\n');
+  }
+
+  /**
+   * Parse text written by stringifyValue (or typed by hand) back to a value
+   */
+  parseValue(text) {
+    const trimmed = text.trim();
+    const isBlock = /^-(?:\s|$)/.test(trimmed) || /^[^\s"'[{|>#-][^#\n]*?:(?:\s|$)/.test(trimmed);
+    const indented = trimmed.replace(/\n/g, '\n  ');
+    return this.parseYaml(isBlock ? `value:\n  ${indented}` : `value: ${indented}`).value;
+  }
+
+  /**
+   * Parse a YAML data file (such as _data/projects.yml), which unlike front
+   * matter may hold a sequence at the top level
+   * @returns {object|Array|null}
+   */
+  parseData(yaml) {
+    this.loadLines(yaml);
+    return this.parseNode(0);
+  }
+
+  /**
+   * Serialize a value as a YAML data file (one trailing newline)
+   */
+  stringifyData(data) {
+    return `${this.stringifyValue(data)}\n`;
+  }
+
+  // ============================================
+  // Parsing
+  // ============================================
+
+  /**
+   * Parse a YAML mapping document into a plain object
+   */
+  parseYaml(yaml) {
+    this.loadLines(yaml);
+
+    const value = this.parseNode(0);
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+  }
+
+  loadLines(yaml) {
+    this.lines = yaml.split(/\r?\n/).map(raw => ({
+      raw,
+      indent: raw.length - raw.trimStart().length,
+      text: raw.trim()
+    }));
+    this.position = 0;
+  }
+
+  /**
+   * Raw text of each top-level key with the blank and comment lines above it
+   * @returns {{ entries: object[], trailing: string[] }}
+   */
+  parseSource(yaml, data) {
+    const entries = [];
+    let pending = [];
+    let current = null;
+
+    yaml.split(/\r?\n/).forEach(line => {
+      if (!line.trim() || line.startsWith('#')) {
+        pending.push(line);
+      } else if (/^[^\s#-]|^-\S/.test(line)) {
+        const pair = this.splitKeyValue(line);
+        current = { key: pair.key, leading: pending, lines: [line], value: data[pair.key] };
+        entries.push(current);
+        pending = [];
+      } else if (current) {
+        current.lines.push(...pending, line);
+        pending = [];
+      } else {
+        pending.push(line);
+      }
+    });
+
+    while (pending.length && !pending[pending.length - 1].trim()) {
+      pending.pop();
+    }
+
+    return {
+      entries: entries.map(({ key, leading, lines, value }) => ({ key, leading, raw: lines.join('\n'), value })),
+      trailing: pending
+    };
+  }
+
+  /**
+   * Next line that carries content (skips blanks and comments)
+   */
+  peekLine() {
+    while (this.position < this.lines.length) {
+      const line = this.lines[this.position];
+      if (line.text && !line.text.startsWith('#')) {
+        return line;
+      }
+      this.position++;
+    }
+    return null;
+  }
+
+  isSequenceItem(text) {
+    return text === '-' || text.startsWith('- ');
+  }
+
+  /**
+   * Parse whatever block starts at the next line, if it is indented at least minIndent
+   */
+  parseNode(minIndent) {
+    const line = this.peekLine();
+    if (!line || line.indent < minIndent) {
+      return null;
+    }
+    return this.isSequenceItem(line.text)
+      ? this.parseSequence(line.indent)
+      : this.parseMapping(line.indent);
+  }
+
+  parseMapping(indent) {
+    const result = {};
+
+    let line;
+    while ((line = this.peekLine()) && line.indent === indent && !this.isSequenceItem(line.text)) {
+      const pair = this.splitKeyValue(line.text);
+      if (!pair) {
+        throw new Error(`Invalid front matter line: "${line.text}"`);
+      }
+      this.position++;
+      result[pair.key] = this.parseNodeValue(pair.rest, indent, true);
+    }
+
+    return result;
+  }
+
+  parseSequence(indent) {
+    const result = [];
+
+    let line;
+    while ((line = this.peekLine()) && line.indent === indent && this.isSequenceItem(line.text)) {
+      const rest = line.text.slice(1).trim();
+
+      if (rest && !/^["'[{|>]/.test(rest) && this.splitKeyValue(rest)) {
+        // "- key: value" starts a mapping indented at the position of key
+        const offset = line.raw.indexOf(rest);
+        this.lines[this.position] = { raw: line.raw, indent: offset, text: rest };
+        result.push(this.parseMapping(offset));
+      } else {
+        this.position++;
+        result.push(this.parseNodeValue(this.stripComment(rest), indent, false));
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Parse the value after "key:" or "- "
+   * @param {boolean} allowSameIndentSequence - "key:\n- item" is valid for mapping values
+   */
+  parseNodeValue(rest, parentIndent, allowSameIndentSequence) {
+    if (rest === '') {
+      const next = this.peekLine();
+      if (next && next.indent > parentIndent) {
+        return this.parseNode(parentIndent + 1);
+      }
+      if (next && allowSameIndentSequence && next.indent === parentIndent && this.isSequenceItem(next.text)) {
+        return this.parseSequence(parentIndent);
+      }
+      return null;
+    }
+
+    if (/^[|>][-+]?\d?(?:\s+#.*)?$/.test(rest)) {
+      return this.parseBlockScalar(rest, parentIndent);
+    }
+
+    // Quoted strings and flow collections may continue on following lines
+    let text = rest;
+    while (!this.isComplete(text) && this.position < this.lines.length) {
+      const next = this.lines[this.position];
+      if (next.text && next.indent <= parentIndent) break;
+      text += next.text ? ` ${next.text}` : '\n';
+      this.position++;
+    }
+
+    if (/^["'[{]/.test(text)) {
+      const { value } = this.parseFlow(text, 0);
+      return value;
+    }
+
+    // Multi-line plain scalar: more indented lines are folded into it
+    let plain = this.stripComment(text);
+    let line;
+    while ((line = this.lines[this.position]) && (!line.text || line.indent > parentIndent)) {
+      if (line.text.startsWith('#')) break;
+      const following = this.lines.slice(this.position).find(l => l.text);
+      if (!line.text && (!following || following.indent <= parentIndent)) break;
+      plain += line.text ? `${plain.endsWith('\n') ? '' : ' '}${this.stripComment(line.text)}` : '\n';
+      this.position++;
+    }
+
+    return this.resolvePlain(plain.trim());
+  }
+
+  /**
+   * Literal (|) and folded (>) block scalars with chomping indicators
+   */
+  parseBlockScalar(header, parentIndent) {
+    const folded = header.startsWith('>');
+    const chomping = header.includes('-') ? 'strip' : header.includes('+') ? 'keep' : 'clip';
+    const lines = [];
+    let blockIndent = null;
+
+    while (this.position < this.lines.length) {
+      const line = this.lines[this.position];
+      if (line.text && line.indent <= parentIndent) break;
+      if (line.text && blockIndent === null) blockIndent = line.indent;
+      lines.push(line.text ? line.raw.slice(blockIndent) : '');
+      this.position++;
+    }
+
+    let content;
+    if (folded) {
+      content = lines.reduce((text, line, index) => {
+        if (index === 0) return line;
+        const previous = lines[index - 1];
+        if (line === '' || previous === '' || /^\s/.test(line)) return `${text}\n${line}`;
+        return `${text} ${line}`;
+      }, '');
+    } else {
+      content = lines.join('\n');
+    }
+
+    const trimmed = content.replace(/\n+$/, '');
+    if (chomping === 'strip') return trimmed;
+    if (chomping === 'keep') return `${content}\n`;
+    return trimmed ? `${trimmed}\n` : '';
+  }
+
+  /**
+   * Split "key: value" outside of quotes
+   */
+  splitKeyValue(text) {
+    let key;
+    let index;
+
+    if (text.startsWith('"') || text.startsWith('\'')) {
+      const { value, end } = this.parseQuoted(text, 0);
+      key = value;
+      index = end;
+      if (text[index] !== ':') return null;
+    } else {
+      const match = text.match(/^([^#]*?):(?:\s|$)/);
+      if (!match) return null;
+      key = match[1].trim();
+      index = match[1].length;
+    }
+
+    return { key, rest: this.stripComment(text.slice(index + 1).trim()) };
+  }
+
+  /**
+   * Remove a trailing " # comment" from a plain scalar (quoted and flow values
+   * are left alone, parseFlow stops at their closing character)
+   */
+  stripComment(text) {
+    if (/^["'[{]/.test(text)) return text;
+    const match = text.match(/(^|\s)#/);
+    return match ? text.slice(0, match.index).trimEnd() : text;
+  }
+
+  /**
+   * Whether a quoted string or flow collection is closed
+   */
+  isComplete(text) {
+    if (!/^["'[{]/.test(text)) return true;
+    try {
+      this.parseFlow(text, 0);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a flow value (quoted string, [sequence], {mapping} or plain scalar) starting at index
+   * @returns {{ value: *, end: number }}
+   */
+  parseFlow(text, index, inCollection = false) {
+    while (/\s/.test(text[index])) index++;
+    const char = text[index];
+
+    if (char === '"' || char === '\'') {
+      return this.parseQuoted(text, index);
+    }
+
+    if (char === '[' || char === '{') {
+      const isMap = char === '{';
+      const close = isMap ? '}' : ']';
+      const value = isMap ? {} : [];
+      index++;
+
+      while (true) {
+        while (/\s/.test(text[index])) index++;
+        if (index >= text.length) throw new Error('Unclosed flow collection');
+        if (text[index] === close) return { value, end: index + 1 };
+
+        if (isMap) {
+          const keyResult = this.parseFlow(text, index, true);
+          index = keyResult.end;
+          while (/\s/.test(text[index])) index++;
+          let itemValue = null;
+          if (text[index] === ':') {
+            const valueResult = this.parseFlow(text, index + 1, true);
+            itemValue = valueResult.value;
+            index = valueResult.end;
+          }
+          value[String(keyResult.value)] = itemValue;
+        } else {
+          const item = this.parseFlow(text, index, true);
+          value.push(item.value);
+          index = item.end;
+        }
+
+        while (/\s/.test(text[index])) index++;
+        if (text[index] === ',') index++;
+        else if (text[index] !== close) throw new Error('Invalid flow collection');
+      }
+    }
+
+    // Plain scalar: inside a collection it runs until a flow indicator or ": "
+    let end = index;
+    while (end < text.length) {
+      if (inCollection && /[,\]}]/.test(text[end])) break;
+      if (inCollection && text[end] === ':' && /^[\s,\]}]?$/.test(text[end + 1] || '')) break;
+      end++;
+    }
+    return { value: this.resolvePlain(text.slice(index, end).trim()), end };
+  }
+
+  /**
+   * Parse a single or double quoted string starting at index
+   */
+  parseQuoted(text, index) {
+    const quote = text[index];
+    let value = '';
+    let i = index + 1;
+
+    while (i < text.length) {
+      const char = text[i];
+
+      if (quote === '\'' && char === '\'') {
+        if (text[i + 1] === '\'') {
+          value += '\'';
+          i += 2;
+          continue;
+        }
+        return { value: this.foldQuoted(value), end: i + 1 };
+      }
+
+      if (quote === '"' && char === '"') {
+        return { value: this.foldQuoted(value), end: i + 1 };
+      }
+
+      if (quote === '"' && char === '\\') {
+        const next = text[i + 1];
+        const escapes = { n: '\n', t: '\t', r: '\r', '0': '\0', '"': '"', '\\': '\\', '/': '/', ' ': ' ', e: '\x1b' };
+        if (next === 'u' || next === 'x') {
+          const length = next === 'u' ? 4 : 2;
+          value += String.fromCharCode(parseInt(text.substr(i + 2, length), 16));
+          i += 2 + length;
+        } else {
+          value += escapes[next] ?? next;
+          i += 2;
+        }
+        continue;
+      }
+
+      value += char;
+      i++;
+    }
+
+    throw new Error('Unclosed quoted string');
+  }
+
+  /**
+   * Line folding for quoted strings that span lines
+   */
+  foldQuoted(value) {
+    return value.replace(/ *\n */g, '\n').replace(/([^\n])\n(?!\n)/g, '$1 ').replace(/\n\n/g, '\n');
+  }
+
+  /**
+   * Resolve the type of an unquoted scalar
+   */
+  resolvePlain(text) {
+    if (text === '' || NULL_PATTERN.test(text)) return null;
+    if (TRUE_PATTERN.test(text)) return true;
+    if (FALSE_PATTERN.test(text)) return false;
+    if (INT_PATTERN.test(text)) return parseInt(text, 10);
+    if (FLOAT_PATTERN.test(text) && text.includes('.')) return parseFloat(text);
+    return text;
+  }
+
+  // ============================================
+  // Serializing
+  // ============================================
+
+  /**
+   * Serialize a plain object as a YAML mapping (one trailing newline)
+   */
+  stringifyYaml(data, indent = 0) {
+    const pad = ' '.repeat(indent);
+
+    return Object.entries(data)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => `${pad}${this.formatKey(key)}:${this.formatValue(value, indent)}`)
+      .join('');
+  }
+
+  /**
+   * Serialize data in the layout of a parsed source (see stringify)
+   */
+  stringifyWithSource(data, source) {
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const written = new Set();
+    let yaml = '';
+
+    source.entries.forEach(entry => {
+      if (data[entry.key] === undefined || written.has(entry.key)) return;
+      written.add(entry.key);
+
+      yaml += entry.leading.map(line => `${line}\n`).join('');
+      yaml += same(data[entry.key], entry.value)
+        ? `${entry.raw}\n`
+        : this.stringifyYaml({ [entry.key]: data[entry.key] });
+    });
+
+    const added = Object.fromEntries(Object.entries(data).filter(([key]) => !written.has(key)));
+    return yaml + this.stringifyYaml(added) + source.trailing.map(line => `${line}\n`).join('');
+  }
+
+  /**
+   * Everything after "key:" including the line break(s)
+   */
+  formatValue(value, indent) {
+    const pad = ' '.repeat(indent);
+
+    if (value === null) {
+      return '\n';
+    }
+
+    if (Array.isArray(value)) {
+      if (value.length === 0) return ' []\n';
+
+      const isSimple = value.every(item => item === null || typeof item !== 'object');
+      const flow = isSimple ? `[${value.map(item => this.formatScalar(item, true)).join(', ')}]` : null;
+      if (flow && !flow.includes('\n') && flow.length <= 80) {
+        return ` ${flow}\n`;
+      }
+
+      return '\n' + value.map(item => {
+        if (item && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+          const nested = this.stringifyYaml(item, indent + 4);
+          return `${pad}  - ${nested.slice(indent + 4)}`;
+        }
+        return `${pad}  -${this.formatValue(item, indent + 2)}`;
+      }).join('');
+    }
+
+    if (typeof value === 'object') {
+      if (Object.keys(value).length === 0) return ' {}\n';
+      return '\n' + this.stringifyYaml(value, indent + 2);
+    }
+
+    if (typeof value === 'string' && value.includes('\n') && !/^\s/.test(value)) {
+      const chomp = value.endsWith('\n') ? (value.endsWith('\n\n') ? '+' : '') : '-';
+      const body = value.replace(/\n$/, chomp === '+' ? '\n' : '');
+      const lines = (chomp === '+' ? value.slice(0, -1) : body).split('\n');
+      return ` |${chomp}\n` + lines.map(line => (line ? `${pad}  ${line}` : '')).join('\n') + '\n';
+    }
+
+    return ` ${this.formatScalar(value, false)}\n`;
+  }
+
+  formatKey(key) {
+    return /^[A-Za-z0-9_][\w.-]*$/.test(key) ? key : JSON.stringify(key);
+  }
+
+  /**
+   * Format a scalar, quoting strings that would otherwise change type or meaning
+   */
+  formatScalar(value, inFlow) {
+    if (value === null) return 'null';
+    if (typeof value !== 'string') return String(value);
+
+    const needsQuotes =
+      value === '' ||
+      value !== value.trim() ||
+      NULL_PATTERN.test(value) || TRUE_PATTERN.test(value) || FALSE_PATTERN.test(value) ||
+      INT_PATTERN.test(value) || FLOAT_PATTERN.test(value) ||
+      /^[-?:,[\]{}#&*!|>'"%@`]/.test(value) ||
+      /:\s|\s#|:$/.test(value) ||
+      /[\x00-\x1f]/.test(value) ||
+      (inFlow && /[,[\]{}]/.test(value));
+
+    return needsQuotes ? JSON.stringify(value) : value;
+  }
+}
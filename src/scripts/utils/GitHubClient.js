@@ -0,0 +1,238 @@
+// GitHub Client - small fetch wrapper for the GitHub REST API
+// Shared by the public site (repository metadata on project cards, without a
+// token) and the admin dashboard (GitHubAPI.request, with one)
+//
+// GET responses can be cached with their ETag: a fresh entry is returned
+// without a request, a stale one is revalidated, and when GitHub cannot be
+// reached or the rate limit is used up the stale entry is returned instead.
+// Rate-limited and failed requests can be retried after a backoff.
+
+const RATE_LIMIT_KEY = 'rate-limit';
+
+export class GitHubRequestError extends Error {
+  constructor(message, status, { rateLimit = null } = {}) {
+    super(message);
+    this.name = 'GitHubRequestError';
+    this.status = status;
+    this.rateLimit = rateLimit;
+  }
+
+  get isRateLimited() {
+    return (this.status === 403 || this.status === 429) && this.rateLimit?.remaining === 0;
+  }
+}
+
+/**
+ * Key/value store in localStorage for GitHubClient, with the entries under one prefix
+ */
+export class LocalStorageCache {
+  constructor(prefix = 'github:', storage = globalThis.localStorage) {
+    this.prefix = prefix;
+    this.storage = storage;
+  }
+
+  get(key) {
+    try {
+      const value = this.storage?.getItem(this.prefix + key);
+      return value ? JSON.parse(value) : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  set(key, value) {
+    if (!this.storage) return;
+    try {
+      this.storage.setItem(this.prefix + key, JSON.stringify(value));
+    } catch (error) {
+      // Storage full or disabled: start over once, otherwise go without a cache
+      this.clear();
+      try {
+        this.storage.setItem(this.prefix + key, JSON.stringify(value));
+      } catch (retryError) {
+        console.warn('GitHub cache unavailable:', retryError);
+      }
+    }
+  }
+
+  clear() {
+    Object.keys(this.storage || {})
+      .filter(key => key.startsWith(this.prefix))
+      .forEach(key => this.storage.removeItem(key));
+  }
+}
+
+export class GitHubClient {
+  /**
+   * @param {object} options
+   *   token: sent as a bearer token when set, baseUrl: API root,
+   *   cache: { get(key), set(key, value) } for GET responses, e.g. a LocalStorageCache,
+   *   maxAge: milliseconds a cached response is used without asking GitHub,
+   *   retries: times a rate-limited or failed request is retried (see getRetryDelay),
+   *   retryDelay: first backoff in milliseconds, doubled on every retry,
+   *   maxRetryDelay: longest wait before a retry; longer waits fail at once,
+   *   onRateLimit: called with the rate limit whenever a response reports it
+   */
+  constructor({
+    token = null,
+    baseUrl = 'https://api.github.com',
+    cache = null,
+    maxAge = 0,
+    retries = 0,
+    retryDelay = 1000,
+    maxRetryDelay = 60000,
+    onRateLimit = null
+  } = {}) {
+    this.token = token;
+    this.baseUrl = baseUrl;
+    this.cache = cache;
+    this.maxAge = maxAge;
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+    this.maxRetryDelay = maxRetryDelay;
+    this.onRateLimit = onRateLimit;
+    // { limit, remaining, reset } from the last response; reset is in ms since the epoch
+    this.rateLimit = cache?.get(RATE_LIMIT_KEY) || null;
+  }
+
+  /**
+   * Request an API endpoint
+   * @returns {Promise<any>} Parsed JSON, or null for an empty response
+   */
+  async request(endpoint, options = {}) {
+    return (await this.requestWithHeaders(endpoint, options)).data;
+  }
+
+  /**
+   * Request an API endpoint, also resolving with the response headers
+   * (null when the response came from the cache without asking GitHub)
+   * @returns {Promise<{data: any, headers: Headers|null}>}
+   */
+  async requestWithHeaders(endpoint, options = {}) {
+    const method = (options.method || 'GET').toUpperCase();
+    const cached = this.cache && method === 'GET' ? this.cache.get(endpoint) : null;
+
+    if (cached && Date.now() - cached.time < this.maxAge) {
+      return { data: cached.data, headers: null };
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      if (this.isRateLimited()) {
+        const wait = this.rateLimit.reset - Date.now();
+        if (attempt < this.retries && wait <= this.maxRetryDelay) {
+          await this.sleep(wait);
+          continue;
+        }
+        if (cached) return { data: cached.data, headers: null };
+        throw new GitHubRequestError('GitHub API rate limit exceeded', 403, { rateLimit: this.rateLimit });
+      }
+
+      const headers = {
+        'Accept': 'application/vnd.github.v3+json',
+        'Content-Type': 'application/json',
+        ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {}),
+        ...(cached?.etag ? { 'If-None-Match': cached.etag } : {}),
+        ...options.headers
+      };
+
+      let response;
+      try {
+        response = await fetch(`${this.baseUrl}${endpoint}`, { ...options, headers });
+      } catch (error) {
+        // Offline
+        if (cached) return { data: cached.data, headers: null };
+        throw error;
+      }
+      this.updateRateLimit(response);
+
+      if (response.status === 304 && cached) {
+        this.cache.set(endpoint, { ...cached, time: Date.now() });
+        return { data: cached.data, headers: response.headers };
+      }
+
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        const error = new GitHubRequestError(
+          body.message || `GitHub API error: ${response.status}`,
+          response.status,
+          { rateLimit: this.rateLimit }
+        );
+
+        const delay = this.getRetryDelay(response, error, method, attempt);
+        if (delay !== null) {
+          await this.sleep(delay);
+          continue;
+        }
+        if (cached && (error.isRateLimited || response.status >= 500)) {
+          return { data: cached.data, headers: null };
+        }
+        throw error;
+      }
+
+      // Handle empty responses
+      const text = await response.text();
+      const data = text ? JSON.parse(text) : null;
+
+      if (this.cache && method === 'GET') {
+        this.cache.set(endpoint, { data, etag: response.headers.get('ETag'), time: Date.now() });
+      }
+      return { data, headers: response.headers };
+    }
+  }
+
+  /**
+   * Milliseconds to wait before retrying a failed request, or null to give up.
+   * Rate limits (429, or 403 when the limit is used up or GitHub asks to slow
+   * down) wait for Retry-After, the reset time, or at least a minute as GitHub
+   * recommends; server errors back off exponentially, but only for reads,
+   * since a write may have gone through.
+   */
+  getRetryDelay(response, error, method, attempt) {
+    if (attempt >= this.retries) return null;
+
+    const retryAfter = Number(response.headers.get('Retry-After')) || 0;
+    const backoff = this.retryDelay * 2 ** attempt;
+    let delay;
+
+    if (response.status === 429 || (response.status === 403 &&
+        (error.isRateLimited || retryAfter > 0 || /rate limit/i.test(error.message)))) {
+      if (retryAfter > 0) {
+        delay = retryAfter * 1000;
+      } else if (error.isRateLimited) {
+        delay = this.rateLimit.reset - Date.now();
+      } else {
+        delay = Math.max(60000, backoff);
+      }
+    } else if (response.status >= 500 && (method === 'GET' || method === 'HEAD')) {
+      delay = backoff;
+    } else {
+      return null;
+    }
+
+    return delay <= this.maxRetryDelay ? Math.max(0, delay) : null;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * True while the last known rate limit is used up and has not been reset yet
+   */
+  isRateLimited() {
+    return !!this.rateLimit && this.rateLimit.remaining === 0 && Date.now() < this.rateLimit.reset;
+  }
+
+  updateRateLimit(response) {
+    const remaining = response.headers.get('X-RateLimit-Remaining');
+    if (remaining === null) return;
+
+    this.rateLimit = {
+      limit: Number(response.headers.get('X-RateLimit-Limit')),
+      remaining: Number(remaining),
+      reset: Number(response.headers.get('X-RateLimit-Reset')) * 1000
+    };
+    this.cache?.set(RATE_LIMIT_KEY, this.rateLimit);
+    this.onRateLimit?.(this.rateLimit);
+  }
+}
@@ -0,0 +1,70 @@
+// GitHub Repository Stats - live metadata for the repositories projects link to
+// Requests are unauthenticated (60 an hour per visitor), so responses are kept
+// in localStorage for an hour and reused when GitHub is unreachable.
+
+import { GitHubClient, LocalStorageCache } from './GitHubClient.js';
+
+export class GitHubRepoStats {
+  constructor(client = new GitHubClient({
+    cache: new LocalStorageCache('github-repo-stats:'),
+    maxAge: 60 * 60 * 1000
+  })) {
+    this.client = client;
+  }
+
+  /**
+   * Owner and name of a github.com repository URL, or null
+   */
+  parseRepoUrl(url) {
+    const match = (url || '').match(/^https?:\/\/(?:www\.)?github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?(?:[?#].*)?$/i);
+    return match ? { owner: match[1], repo: match[2] } : null;
+  }
+
+  /**
+   * Stats for the repository at url, or null when url is not a repository.
+   * Throws when the repository itself cannot be loaded; the other parts are
+   * left empty when their request fails.
+   * @returns {Promise<{stars: number, forks: number, openIssues: number,
+   *   languages: Array<{name: string, percent: number}>, lastCommit: string|null,
+   *   latestRelease: string|null, url: string}|null>}
+   */
+  async getStats(url) {
+    const parsed = this.parseRepoUrl(url);
+    if (!parsed) return null;
+
+    const base = `/repos/${parsed.owner}/${parsed.repo}`;
+    const repo = await this.client.request(base);
+    const [languages, commits, releases] = await Promise.all([
+      this.client.request(`${base}/languages`).catch(() => null),
+      this.client.request(`${base}/commits?per_page=1`).catch(() => null),
+      this.client.request(`${base}/releases?per_page=1`).catch(() => null)
+    ]);
+
+    return {
+      stars: repo.stargazers_count,
+      forks: repo.forks_count,
+      // GitHub counts open pull requests as issues here
+      openIssues: repo.open_issues_count,
+      languages: this.languageBreakdown(languages || {}),
+      lastCommit: commits?.[0]?.commit?.committer?.date || repo.pushed_at || null,
+      latestRelease: releases?.[0]?.tag_name || null,
+      url: repo.html_url
+    };
+  }
+
+  /**
+   * Share of each language by bytes of code, the largest first; languages
+   * beyond max are grouped as "Other"
+   */
+  languageBreakdown(bytesByLanguage, max = 3) {
+    const entries = Object.entries(bytesByLanguage).sort((a, b) => b[1] - a[1]);
+    const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+    if (total === 0) return [];
+
+    const shown = entries.slice(0, max);
+    const other = entries.slice(max).reduce((sum, [, bytes]) => sum + bytes, 0);
+    if (other > 0) shown.push(['Other', other]);
+
+    return shown.map(([name, bytes]) => ({ name, percent: Math.round(bytes / total * 1000) / 10 }));
+  }
+}
@@ -0,0 +1,100 @@
+// Project Schema - the shape of a project in _data/projects.yml
+// Shared by the public site (ProjectManager) and the admin dashboard (GitHubAPI)
+//
+// The long-form case study is not part of the data file; it is the body of the
+// project's page in _projects/<id>.md, rendered by _layouts/project.html.
+
+export const PROJECT_STATUSES = ['active', 'maintained', 'archived'];
+
+export class ProjectSchema {
+  constructor() {
+    this.statuses = PROJECT_STATUSES;
+    // Keys in the order they are written; keys added by hand follow them
+    this.fields = [
+      'id', 'title', 'description', 'status', 'role', 'startDate', 'endDate',
+      'image', 'gallery', 'tech', 'highlights', 'github', 'demo', 'links',
+      'featured', 'archived'
+    ];
+  }
+
+  /**
+   * Project with every field present and of the expected type.
+   * Older data used `technologies` for `tech`; it is read as `tech`.
+   */
+  normalize(item = {}) {
+    const { technologies, ...rest } = item;
+
+    return {
+      ...rest,
+      id: this.toText(item.id),
+      title: this.toText(item.title),
+      description: this.toText(item.description),
+      status: this.toText(item.status) || 'active',
+      role: this.toText(item.role),
+      startDate: this.toText(item.startDate),
+      endDate: this.toText(item.endDate),
+      image: this.toText(item.image),
+      gallery: this.toList(item.gallery),
+      tech: this.toList(item.tech ?? technologies),
+      highlights: this.toList(item.highlights),
+      github: this.toText(item.github),
+      demo: this.toText(item.demo),
+      links: this.toLinks(item.links),
+      featured: item.featured === true,
+      archived: item.archived === true
+    };
+  }
+
+  /**
+   * Project as written to the data file: known fields first, empty ones left out
+   */
+  serialize(project) {
+    const omitEmpty = value => {
+      if (Array.isArray(value)) return value.length ? value : undefined;
+      return value === '' || value === false || value == null ? undefined : value;
+    };
+
+    const data = {};
+    this.fields.forEach(key => {
+      data[key] = key === 'links' ? omitEmpty(this.toLinks(project.links)) : omitEmpty(project[key]);
+    });
+    Object.entries(project).forEach(([key, value]) => {
+      if (!this.fields.includes(key)) data[key] = value;
+    });
+    return data;
+  }
+
+  /**
+   * Site path of the project's own page
+   */
+  pageUrl(project) {
+    return `/projects/${project.id}/`;
+  }
+
+  toText(value) {
+    return value == null ? '' : String(value);
+  }
+
+  toList(value) {
+    if (value == null || value === '') return [];
+    return (Array.isArray(value) ? value : [value]).map(item => this.toText(item)).filter(Boolean);
+  }
+
+  /**
+   * Extra links as [{ label, url }]; a bare URL is labelled with its host name
+   */
+  toLinks(value) {
+    if (value == null || value === '') return [];
+
+    return (Array.isArray(value) ? value : [value])
+      .map(link => (link && typeof link === 'object' ? link : { url: link }))
+      .map(link => ({ label: this.toText(link.label), url: this.toText(link.url) }))
+      .filter(link => link.url)
+      .map(link => ({ label: link.label || this.hostName(link.url), url: link.url }));
+  }
+
+  hostName(url) {
+    const match = url.match(/^[a-z]+:\/\/(?:www\.)?([^/?#]+)/i);
+    return match ? match[1] : url;
+  }
+}
@@ -0,0 +1,257 @@
+// Search Index - full-text search over the posts in api/search.json
+//
+// Words are lowercased, stripped of accents and reduced to a stem, so
+// "Configuring" finds "configured". Every query word has to match a post, either
+// exactly, as the start of a word (the last one, while it is being typed) or
+// within one or two typos. Matches in the title count the most, then tags,
+// headings, description, categories and finally the body.
+import { escapeHtml } from './format.js';
+
+export const FIELD_BOOSTS = {
+  title: 10,
+  tags: 6,
+  headings: 4,
+  description: 3,
+  categories: 2,
+  body: 1
+};
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so',
+  'that', 'the', 'their', 'then', 'there', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'which', 'with', 'you', 'your'
+]);
+
+// Weight of a match relative to an exact one
+const PREFIX_MATCH = 0.75;
+const FUZZY_MATCH = 0.5;
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+export class SearchIndex {
+  constructor({ boosts = FIELD_BOOSTS } = {}) {
+    this.boosts = boosts;
+    this.documents = [];
+    // Stemmed term -> Map of document index -> weighted frequency
+    this.terms = new Map();
+  }
+
+  /**
+   * Index documents shaped like the entries of api/search.json
+   */
+  setDocuments(documents) {
+    this.documents = [...documents];
+    this.terms = new Map();
+
+    this.documents.forEach((document, index) => {
+      Object.entries(this.boosts).forEach(([field, boost]) => {
+        const value = document[field];
+        const text = Array.isArray(value) ? value.join(' ') : String(value ?? '');
+
+        const counts = new Map();
+        this.tokenize(text).forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+        counts.forEach((count, term) => {
+          if (!this.terms.has(term)) this.terms.set(term, new Map());
+          const postings = this.terms.get(term);
+          postings.set(index, (postings.get(index) || 0) + boost * (1 + Math.log(count)));
+        });
+      });
+    });
+  }
+
+  /**
+   * Documents matching every word of query, best first
+   * @returns {Array<{document: object, score: number, terms: Set<string>}>}
+   *   terms are the indexed terms that matched, for highlight() and snippet()
+   */
+  search(query, { limit = 10 } = {}) {
+    // Only a last word not followed by a space is still being typed; it is
+    // kept even if it is a stop word so far ("in" on the way to "internet")
+    const typing = /[\p{L}\p{N}]$/u.test(query);
+    const words = (String(query).match(WORD_PATTERN) || []).map(word => this.normalizeWord(word));
+    const queryTerms = words
+      .filter((word, i) => !STOP_WORDS.has(word) || (typing && i === words.length - 1 && word.length >= 2))
+      .map(word => this.stem(word));
+    if (queryTerms.length === 0) return [];
+
+    let matches = null;
+
+    queryTerms.forEach((queryTerm, i) => {
+      const isLast = i === queryTerms.length - 1;
+      const termScores = new Map();
+
+      this.expandTerm(queryTerm, typing && isLast).forEach(({ term, weight }) => {
+        const postings = this.terms.get(term);
+        const idf = Math.log(1 + this.documents.length / postings.size);
+
+        // A document scores its best match for the query term
+        postings.forEach((frequency, index) => {
+          const match = termScores.get(index) || { score: 0, terms: new Set() };
+          match.score = Math.max(match.score, frequency * idf * weight);
+          match.terms.add(term);
+          termScores.set(index, match);
+        });
+      });
+
+      if (matches === null) {
+        matches = termScores;
+        return;
+      }
+      const combined = new Map();
+      termScores.forEach((match, index) => {
+        const previous = matches.get(index);
+        if (previous) {
+          combined.set(index, { score: previous.score + match.score, terms: new Set([...previous.terms, ...match.terms]) });
+        }
+      });
+      matches = combined;
+    });
+
+    return [...matches.entries()]
+      .map(([index, { score, terms }]) => ({ document: this.documents[index], score, terms }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Indexed terms a query term matches, with the weight of each match
+   */
+  expandTerm(queryTerm, allowPrefix) {
+    const maxDistance = queryTerm.length >= 8 ? 2 : queryTerm.length >= 4 ? 1 : 0;
+    const expansions = [];
+
+    this.terms.forEach((postings, term) => {
+      if (term === queryTerm) {
+        expansions.push({ term, weight: 1 });
+      } else if (allowPrefix && queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+        expansions.push({ term, weight: PREFIX_MATCH });
+      } else if (maxDistance > 0 && Math.abs(term.length - queryTerm.length) <= maxDistance) {
+        const distance = this.editDistance(queryTerm, term, maxDistance);
+        if (distance <= maxDistance) {
+          expansions.push({ term, weight: FUZZY_MATCH / distance });
+        }
+      }
+    });
+
+    return expansions;
+  }
+
+  /**
+   * Stemmed terms of a text, without stop words
+   */
+  tokenize(text) {
+    return (String(text).match(WORD_PATTERN) || [])
+      .map(word => this.normalizeWord(word))
+      .filter(word => !STOP_WORDS.has(word))
+      .map(word => this.stem(word));
+  }
+
+  normalizeWord(word) {
+    return word.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
+
+  /**
+   * A light English stemmer: plurals, -ing and -ed, a few derivational
+   * suffixes, then a final e or y. Stems are only compared with each other,
+   * so they need to be consistent rather than real words.
+   */
+  stem(word) {
+    if (word.length < 4 || /\d/.test(word)) return word;
+
+    let stem = word;
+    if (stem.endsWith('sses')) {
+      stem = stem.slice(0, -2);
+    } else if (stem.endsWith('ies')) {
+      stem = `${stem.slice(0, -3)}y`;
+    } else if (stem.endsWith('s') && !/(ss|us|is)$/.test(stem)) {
+      stem = stem.slice(0, -1);
+    }
+
+    for (const suffix of ['ing', 'ed']) {
+      const rest = stem.slice(0, -suffix.length);
+      if (stem.endsWith(suffix) && rest.length >= 3 && /[aeiouy]/.test(rest)) {
+        // running -> run, setting -> set
+        stem = /([^aeiouylsz])\1$/.test(rest) ? rest.slice(0, -1) : rest;
+        break;
+      }
+    }
+
+    for (const [suffix, replacement] of [['ization', 'ize'], ['ational', 'ate'], ['ation', 'ate'], ['ness', ''], ['ment', ''], ['ly', '']]) {
+      if (stem.endsWith(suffix) && stem.length - suffix.length >= 3) {
+        stem = stem.slice(0, -suffix.length) + replacement;
+        break;
+      }
+    }
+
+    return stem.replace(/e$/, '').replace(/y$/, 'i');
+  }
+
+  /**
+   * Edit distance of a and b, counting a swap of two neighbouring letters as
+   * one edit ("netwrok"), or max + 1 once it is known to exceed max
+   */
+  editDistance(a, b, max) {
+    let beforePrevious = [];
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+        }
+        rowMin = Math.min(rowMin, current[j]);
+      }
+      if (rowMin > max) return max + 1;
+      beforePrevious = previous;
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * HTML of text with the words matching terms wrapped in <mark>
+   */
+  highlight(text, terms) {
+    text = String(text ?? '');
+    let html = '';
+    let last = 0;
+
+    for (const match of text.matchAll(WORD_PATTERN)) {
+      if (terms.has(this.stem(this.normalizeWord(match[0])))) {
+        html += `${escapeHtml(text.slice(last, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+      }
+    }
+
+    return html + escapeHtml(text.slice(last));
+  }
+
+  /**
+   * HTML of about length characters of text around its first word matching
+   * terms, highlighted; null when no word matches
+   */
+  snippet(text, terms, length = 160) {
+    text = String(text ?? '');
+    const first = [...text.matchAll(WORD_PATTERN)]
+      .find(match => terms.has(this.stem(this.normalizeWord(match[0]))));
+    if (!first) return null;
+
+    let start = Math.max(0, first.index - Math.floor(length / 3));
+    let end = Math.min(text.length, start + length);
+    // Do not cut words in half
+    if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+    if (end < text.length) end = text.lastIndexOf(' ', end) > first.index ? text.lastIndexOf(' ', end) : end;
+
+    return `${start > 0 ? '…' : ''}${this.highlight(text.slice(start, end), terms)}${end < text.length ? '…' : ''}`;
+  }
+}
@@ -0,0 +1,30 @@
+// Formatting helpers shared by the components that build their HTML as strings
+
+/**
+ * Text made safe to insert into HTML, attribute values included
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * A post date as "Mar 5, 2024", or the text as it is when it is not a date.
+ * The result is plain text; escape it before inserting it into HTML.
+ */
+export function formatPostDate(dateString) {
+  const date = new Date(dateString);
+  if (isNaN(date)) return String(dateString ?? '');
+
+  // Post dates are in the site's timezone, UTC (_config.yml)
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    timeZone: 'UTC'
+  });
+}